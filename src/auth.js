@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const usersStore = require('./usersStore');
+
+// ✅ Configuración de JWT
+// Si JWT_SECRET no está configurado se genera uno aleatorio por proceso:
+// los tokens emitidos dejan de ser válidos al reiniciar el servidor.
+let JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+  console.warn('⚠️ JWT_SECRET no está configurado. Se usará un secreto temporal (las sesiones se pierden al reiniciar).');
+  JWT_SECRET = crypto.randomBytes(48).toString('hex');
+}
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '12h';
+const JWT_ISSUER = 'gpti-backend';
+
+// Firmar un access token para el usuario (solo datos públicos en el payload)
+// tv es la versión de credenciales del usuario: al cambiar la contraseña sube y los tokens
+// firmados con la versión anterior se rechazan
+function signAccessToken(user) {
+  return jwt.sign(
+    { email: user.email, name: user.name, tv: user.tokenVersion || 0 },
+    JWT_SECRET,
+    {
+      subject: String(user.id),
+      expiresIn: JWT_EXPIRES_IN,
+      issuer: JWT_ISSUER
+    }
+  );
+}
+
+// Verificar un token y devolver el usuario que contiene. Lanza si es inválido o expiró.
+function verifyAccessToken(token) {
+  const payload = jwt.verify(token, JWT_SECRET, { issuer: JWT_ISSUER });
+  return {
+    id: payload.sub,
+    email: payload.email,
+    name: payload.name,
+    tokenVersion: payload.tv || 0
+  };
+}
+
+// ✅ Parámetro state del flujo OAuth de Google Calendar
+// Va firmado y ligado al usuario que inició la autorización, para que el callback guarde los
+// tokens de Google en la cuenta correcta y no acepte un callback iniciado por otra persona.
+// Se firma con una clave derivada para que un state nunca sirva como access token.
+const OAUTH_STATE_SECRET = `${JWT_SECRET}:calendar-oauth`;
+const OAUTH_STATE_EXPIRES_IN = '10m';
+const OAUTH_STATE_AUDIENCE = 'calendar-oauth';
+
+function signOAuthState(userId) {
+  return jwt.sign({}, OAUTH_STATE_SECRET, {
+    subject: String(userId),
+    expiresIn: OAUTH_STATE_EXPIRES_IN,
+    issuer: JWT_ISSUER,
+    audience: OAUTH_STATE_AUDIENCE
+  });
+}
+
+// Devuelve el id del usuario que inició el flujo. Lanza si el state es inválido o expiró.
+function verifyOAuthState(state) {
+  const payload = jwt.verify(String(state || ''), OAUTH_STATE_SECRET, { issuer: JWT_ISSUER, audience: OAUTH_STATE_AUDIENCE });
+  return payload.sub;
+}
+
+// Segundos hasta que expira un token recién firmado (para informar al cliente)
+function getTokenExpiresIn(token) {
+  const { exp, iat } = jwt.decode(token);
+  return exp - iat;
+}
+
+// ✅ Hash de contraseñas con scrypt y salt aleatorio por usuario
+// Formato almacenado: scrypt$<salt hex>$<hash hex>
+const SCRYPT_KEYLEN = 64;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, storedHash) {
+  const [scheme, salt, hash] = String(storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Token de reseteo: el valor en claro se entrega al usuario, solo se guarda su SHA256
+function createResetToken() {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, hash: hashResetToken(token) };
+}
+
+function hashResetToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// ✅ Middleware de autenticación: verifica el Bearer token y deja el usuario en req.user
+const requireAuth = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({
+      success: false,
+      message: 'No autorizado. Token requerido.'
+    });
+  }
+
+  const token = authHeader.slice('Bearer '.length).trim();
+  try {
+    const tokenUser = verifyAccessToken(token);
+    // Rechazar tokens de usuarios eliminados o emitidos antes del último cambio de contraseña
+    const user = usersStore.findById(tokenUser.id);
+    if (!user || (user.tokenVersion || 0) !== tokenUser.tokenVersion) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sesión inválida. Inicia sesión nuevamente.'
+      });
+    }
+    req.user = tokenUser;
+    next();
+  } catch (error) {
+    if (error instanceof jwt.TokenExpiredError) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sesión expirada. Inicia sesión nuevamente.'
+      });
+    }
+    return res.status(401).json({
+      success: false,
+      message: 'Token inválido.'
+    });
+  }
+};
+
+module.exports = {
+  signAccessToken,
+  verifyAccessToken,
+  getTokenExpiresIn,
+  signOAuthState,
+  verifyOAuthState,
+  hashPassword,
+  verifyPassword,
+  createResetToken,
+  hashResetToken,
+  requireAuth
+};
@@ -0,0 +1,169 @@
+const { getCollection } = require('./storage');
+const { getPromptTemplates } = require('./prompts');
+
+// ✅ Conversaciones de chat por documento (colección 'chatSessions')
+// El historial vive en el servidor: el cliente solo envía chatId y el mensaje nuevo.
+// Cuando una conversación crece, los turnos antiguos se resumen en session.summary y al
+// prompt solo van ese resumen y los últimos mensajes.
+const sessions = getCollection('chatSessions');
+
+// Mensajes recientes que se envían completos al modelo
+const CHAT_RECENT_MESSAGES = parseInt(process.env.CHAT_RECENT_MESSAGES || '10', 10);
+// Mensajes antiguos sin resumir que se acumulan antes de actualizar el resumen
+const CHAT_SUMMARY_BATCH = parseInt(process.env.CHAT_SUMMARY_BATCH || '6', 10);
+const MAX_TITLE_LENGTH = 80;
+
+const titleFromMessage = (message) => {
+  const title = String(message || '').replace(/\s+/g, ' ').trim();
+  return title.length > MAX_TITLE_LENGTH ? `${title.slice(0, MAX_TITLE_LENGTH - 3)}...` : title;
+};
+
+function findById(id) {
+  return sessions.get(String(id)) || null;
+}
+
+// Conversación solo si pertenece al usuario y al documento indicados
+function findOwned(id, ownerId, documentId) {
+  const session = findById(id);
+  if (!session || session.ownerId !== ownerId || session.documentId !== documentId) {
+    return null;
+  }
+  return session;
+}
+
+// Conversaciones de un documento, de la más reciente a la más antigua
+function listByDocument(ownerId, documentId) {
+  return Array.from(sessions.values())
+    .filter(session => session.ownerId === ownerId && session.documentId === documentId)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+function create({ ownerId, documentId, title }) {
+  const now = new Date().toISOString();
+  const session = {
+    id: `chat-${Date.now()}-${Math.round(Math.random() * 1E9)}`,
+    ownerId: ownerId,
+    documentId: documentId,
+    title: titleFromMessage(title) || 'Nueva conversación',
+    messages: [],
+    summary: null,
+    createdAt: now,
+    updatedAt: now
+  };
+  sessions.set(session.id, session);
+  return session;
+}
+
+function rename(id, title) {
+  const session = findById(id);
+  if (!session) {
+    return null;
+  }
+  session.title = titleFromMessage(title);
+  session.updatedAt = new Date().toISOString();
+  sessions.set(session.id, session);
+  return session;
+}
+
+function remove(id) {
+  return sessions.delete(String(id));
+}
+
+function removeByDocument(documentId) {
+  Array.from(sessions.values())
+    .filter(session => session.documentId === documentId)
+    .forEach(session => sessions.delete(session.id));
+}
+
+// Guardar un intercambio completo (pregunta del usuario + respuesta del asistente)
+function appendExchange(id, { message, response, citations = [] }) {
+  const session = findById(id);
+  if (!session) {
+    return null;
+  }
+  const now = new Date().toISOString();
+  session.messages.push(
+    { role: 'user', content: message, createdAt: now },
+    { role: 'assistant', content: response, citations: citations, createdAt: now }
+  );
+  // La primera pregunta da título a las conversaciones creadas sin título
+  if (session.title === 'Nueva conversación' && session.messages.length === 2) {
+    session.title = titleFromMessage(message);
+  }
+  session.updatedAt = now;
+  sessions.set(session.id, session);
+  return session;
+}
+
+// Historial para el prompt: resumen de los turnos antiguos + mensajes aún no resumidos
+// (como mucho CHAT_RECENT_MESSAGES + CHAT_SUMMARY_BATCH, por si el resumen no se pudo actualizar)
+function getPromptHistory(session) {
+  if (!session) {
+    return { summary: null, messages: [] };
+  }
+  const covered = session.summary ? session.summary.coveredMessages : 0;
+  return {
+    summary: session.summary ? session.summary.text : null,
+    messages: session.messages.slice(covered).slice(-(CHAT_RECENT_MESSAGES + CHAT_SUMMARY_BATCH))
+  };
+}
+
+// Resumir los turnos antiguos cuando se acumulan suficientes fuera del resumen
+// summarize(prompt) devuelve el texto del resumen o null; si falla se reintenta en el próximo turno
+// language es el idioma de la conversación: el resumen se escribe en ese idioma
+async function compactHistory(id, summarize, { language } = {}) {
+  const session = findById(id);
+  if (!session) {
+    return null;
+  }
+  const covered = session.summary ? session.summary.coveredMessages : 0;
+  const olderEnd = session.messages.length - CHAT_RECENT_MESSAGES;
+  if (olderEnd - covered < CHAT_SUMMARY_BATCH) {
+    return session;
+  }
+
+  const prompt = getPromptTemplates(language).historySummary({
+    previousSummary: session.summary ? session.summary.text : null,
+    messages: session.messages.slice(covered, olderEnd)
+  });
+
+  const text = await summarize(prompt);
+  if (!text) {
+    return session;
+  }
+  session.summary = {
+    text: text.trim(),
+    coveredMessages: olderEnd,
+    updatedAt: new Date().toISOString()
+  };
+  sessions.set(session.id, session);
+  return session;
+}
+
+// Datos de la conversación para listados (sin mensajes)
+function toSessionSummary(session) {
+  const lastMessage = session.messages[session.messages.length - 1];
+  return {
+    id: session.id,
+    documentId: session.documentId,
+    title: session.title,
+    messageCount: session.messages.length,
+    lastMessageAt: lastMessage ? lastMessage.createdAt : null,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt
+  };
+}
+
+module.exports = {
+  findById,
+  findOwned,
+  listByDocument,
+  create,
+  rename,
+  remove,
+  removeByDocument,
+  appendExchange,
+  getPromptHistory,
+  compactHistory,
+  toSessionSummary
+};
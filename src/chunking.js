@@ -0,0 +1,65 @@
+// ✅ División de texto largo en fragmentos
+// Corta preferentemente en saltos de párrafo, luego en fin de oración y por último en espacios,
+// para no partir ideas a la mitad. Cada fragmento conserva sus offsets dentro del texto original.
+
+function findCutPoint(text, start, maxEnd) {
+  if (maxEnd >= text.length) {
+    return text.length;
+  }
+  // No cortar en la primera mitad del fragmento para evitar fragmentos diminutos
+  const minEnd = start + Math.floor((maxEnd - start) / 2);
+  const window = text.slice(minEnd, maxEnd);
+
+  const paragraph = window.lastIndexOf('\n\n');
+  if (paragraph >= 0) return minEnd + paragraph + 2;
+
+  const sentence = Math.max(window.lastIndexOf('. '), window.lastIndexOf('.\n'), window.lastIndexOf('? '), window.lastIndexOf('! '));
+  if (sentence >= 0) return minEnd + sentence + 2;
+
+  const space = window.lastIndexOf(' ');
+  if (space >= 0) return minEnd + space + 1;
+
+  return maxEnd;
+}
+
+// Inicio del solapamiento: el primer comienzo de oración dentro de [minStart, end), si no
+// el primer comienzo de palabra; sin ninguno se empieza en end (sin solapamiento)
+function findStartPoint(text, minStart, end) {
+  if (minStart <= 0 || /\s/.test(text[minStart - 1])) {
+    return minStart;
+  }
+  const window = text.slice(minStart, end);
+
+  const sentence = window.search(/[.?!]\s/);
+  if (sentence >= 0) {
+    const next = window.slice(sentence + 1).search(/\S/);
+    if (next >= 0) return minStart + sentence + 1 + next;
+  }
+
+  const word = window.search(/\s\S/);
+  if (word >= 0) return minStart + word + 1;
+
+  return end;
+}
+
+// Devuelve [{ index, text, start, end }]; overlap repite el final del fragmento anterior
+function chunkText(text, { maxChars = 100000, overlap = 0 } = {}) {
+  const source = String(text || '');
+  if (source.length <= maxChars) {
+    return [{ index: 0, text: source, start: 0, end: source.length }];
+  }
+
+  const chunks = [];
+  let start = 0;
+  while (start < source.length) {
+    const end = findCutPoint(source, start, start + maxChars);
+    chunks.push({ index: chunks.length, text: source.slice(start, end), start, end });
+    if (end >= source.length) break;
+    start = Math.max(overlap > 0 ? findStartPoint(source, end - overlap, end) : end, start + 1);
+  }
+  return chunks;
+}
+
+module.exports = {
+  chunkText
+};
@@ -0,0 +1,63 @@
+// ✅ Circuit breaker para el proveedor de modelos
+// Tras failureThreshold fallos seguidos del proveedor (errores 429/5xx, de red o timeouts) el
+// circuito se abre y las llamadas fallan de inmediato durante cooldownMs, en lugar de esperar
+// timeouts contra un servicio caído. Pasado ese tiempo se deja pasar una sola llamada de prueba
+// (semiabierto): si responde, el circuito se cierra; si falla, vuelve a abrirse.
+function createCircuitBreaker({ name, failureThreshold = 5, cooldownMs = 30000 }) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let probeInFlight = false;
+
+  const open = () => {
+    state = 'open';
+    openedAt = Date.now();
+    console.warn(`⚠️ Circuito de ${name} abierto tras ${failures} fallo(s) seguidos; se reintentará en ${cooldownMs}ms`);
+  };
+
+  return {
+    getState: () => state,
+
+    // ¿Se puede llamar al proveedor ahora?
+    canRequest() {
+      if (state === 'open' && Date.now() - openedAt >= cooldownMs) {
+        state = 'half-open';
+        console.log(`🔄 Circuito de ${name} semiabierto: probando el proveedor`);
+      }
+      if (state === 'closed') {
+        return true;
+      }
+      if (state === 'half-open' && !probeInFlight) {
+        probeInFlight = true;
+        return true;
+      }
+      return false;
+    },
+
+    onSuccess() {
+      if (state !== 'closed') {
+        console.log(`✅ Circuito de ${name} cerrado: el proveedor volvió a responder`);
+      }
+      state = 'closed';
+      failures = 0;
+      probeInFlight = false;
+    },
+
+    onFailure() {
+      failures++;
+      probeInFlight = false;
+      if (state === 'half-open' || (state === 'closed' && failures >= failureThreshold)) {
+        open();
+      }
+    },
+
+    // La llamada se canceló sin saber si el proveedor funciona: liberar la prueba en curso
+    onCancel() {
+      probeInFlight = false;
+    }
+  };
+}
+
+module.exports = {
+  createCircuitBreaker
+};
@@ -0,0 +1,111 @@
+const { getPageForOffset } = require('./pages');
+
+// ✅ Citas en las respuestas del chat
+// Los pasajes se numeran en el prompt ([1], [2], ...). El modelo responde con marcadores [n]
+// en el texto y, al final, después de CITATIONS_MARKER, un JSON con la frase exacta que respalda
+// cada afirmación. Las frases se ubican en el texto del documento para devolver página y offsets;
+// las que no aparecen en el pasaje citado se descartan, así no se devuelven citas inventadas.
+const CITATIONS_MARKER = 'CITAS:';
+const MAX_QUOTE_LENGTH = 300;
+
+// Pasajes numerados para el prompt (con el nombre del documento si vienen de varios)
+// pageLabel es la palabra "página" en el idioma del prompt; las instrucciones que piden las
+// citas están en las plantillas de cada idioma (prompts.js)
+function formatPassagesForPrompt(passages, { pageLabel = 'página' } = {}) {
+  return passages
+    .map((passage, i) => {
+      const source = passage.document ? `"${passage.document.filename}", ${pageLabel} ${passage.page}` : `${pageLabel} ${passage.page}`;
+      return `[${i + 1}] (${source})\n${passage.text}`;
+    })
+    .join('\n\n---\n\n');
+}
+
+// Separar la respuesta visible de la lista de citas que pidió el prompt
+function parseCitedAnswer(rawResponse) {
+  const text = String(rawResponse || '');
+  const markerIndex = text.lastIndexOf(CITATIONS_MARKER);
+  if (markerIndex < 0) {
+    return { answer: text.trim(), rawCitations: [] };
+  }
+
+  let rawCitations = [];
+  const jsonMatch = text.slice(markerIndex + CITATIONS_MARKER.length).match(/\[[\s\S]*\]/);
+  if (jsonMatch) {
+    try {
+      const parsed = JSON.parse(jsonMatch[0]);
+      rawCitations = Array.isArray(parsed) ? parsed : [];
+    } catch (parseError) {
+      console.error('Error al parsear las citas del modelo:', parseError.message);
+    }
+  }
+  return { answer: text.slice(0, markerIndex).trim(), rawCitations };
+}
+
+// Parte de una respuesta en streaming que ya se puede mostrar: todo lo anterior a CITATIONS_MARKER.
+// Mientras la respuesta no está completa se retiene el final por si es el comienzo del marcador
+function getVisibleAnswer(partialResponse, { complete = false } = {}) {
+  const text = String(partialResponse || '');
+  const markerIndex = text.indexOf(CITATIONS_MARKER);
+  if (markerIndex >= 0) {
+    return text.slice(0, markerIndex);
+  }
+  return complete ? text : text.slice(0, Math.max(0, text.length - (CITATIONS_MARKER.length - 1)));
+}
+
+// Buscar una frase dentro de un texto tolerando diferencias de espacios y mayúsculas
+function findQuote(text, quote) {
+  const exact = text.indexOf(quote);
+  if (exact >= 0) {
+    return { index: exact, length: quote.length };
+  }
+  const pattern = quote.trim().split(/\s+/)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('\\s+');
+  const match = new RegExp(pattern, 'iu').exec(text);
+  return match ? { index: match.index, length: match[0].length } : null;
+}
+
+// Convertir las citas del modelo en { marker, page, start, end, quote } sobre document.text
+// Los pasajes de búsquedas en varios documentos traen su propio passage.document; en ese caso
+// la cita incluye además documentId y filename
+function resolveCitations(document, passages, rawCitations) {
+  const citations = [];
+
+  rawCitations.forEach(raw => {
+    const marker = parseInt(raw && raw.passage, 10);
+    const quote = String((raw && raw.quote) || '').trim().slice(0, MAX_QUOTE_LENGTH);
+    const passage = passages[marker - 1];
+    if (!passage || quote.length < 3) return;
+    const source = passage.document || document;
+    const text = source.text || '';
+
+    const found = findQuote(text.slice(passage.start, passage.end), quote);
+    if (!found) {
+      console.warn(`⚠️ Cita descartada: la frase no aparece en el pasaje [${marker}]`);
+      return;
+    }
+
+    const start = passage.start + found.index;
+    const end = start + found.length;
+    const documentId = passage.document ? source.id : undefined;
+    if (citations.some(c => c.start === start && c.end === end && c.documentId === documentId)) return;
+    citations.push({
+      marker,
+      ...(documentId ? { documentId, filename: source.filename } : {}),
+      page: getPageForOffset(source, start),
+      start,
+      end,
+      quote: text.slice(start, end)
+    });
+  });
+
+  return citations;
+}
+
+module.exports = {
+  CITATIONS_MARKER,
+  formatPassagesForPrompt,
+  parseCitedAnswer,
+  getVisibleAnswer,
+  resolveCitations
+};
@@ -0,0 +1,109 @@
+// ✅ Comparación y síntesis entre varios documentos
+// Cada documento entra al prompt como su texto (si cabe) o como un resumen detallado; el modelo
+// devuelve un JSON con una sección por documento, una lista de puntos y una síntesis conjunta.
+const MIN_COMPARE_DOCUMENTS = 2;
+const MAX_COMPARE_DOCUMENTS = 5;
+// Caracteres de texto por llamada, repartidos entre los documentos
+const COMPARE_CONTEXT_CHARS = 100000;
+
+const COMPARISON_TASKS = {
+  compare: {
+    label: 'comparación',
+    instructions: 'Compara los documentos: identifica en qué coinciden y en qué se diferencian.',
+    itemsLabel: 'similitudes y diferencias'
+  },
+  contrast: {
+    label: 'contraste',
+    instructions: 'Contrasta los documentos: enfócate en las diferencias de enfoque, argumentos, conclusiones y datos.',
+    itemsLabel: 'diferencias'
+  },
+  'merge-notes': {
+    label: 'apuntes combinados',
+    instructions: 'Combina el contenido de los documentos en un solo conjunto de apuntes de estudio, sin repetir ideas y organizado por temas.',
+    itemsLabel: 'temas de los apuntes combinados'
+  },
+  contradictions: {
+    label: 'contradicciones',
+    instructions: 'Busca contradicciones entre los documentos: afirmaciones, datos o conclusiones incompatibles entre sí. No inventes contradicciones si no las hay.',
+    itemsLabel: 'contradicciones'
+  }
+};
+
+const isValidComparisonTask = (task) => Object.prototype.hasOwnProperty.call(COMPARISON_TASKS, task);
+
+// Caracteres disponibles para cada documento dentro del prompt
+const getPerDocumentBudget = (count) => Math.floor(COMPARE_CONTEXT_CHARS / count);
+
+function buildComparisonPrompt(sources, { task, focus }) {
+  const config = COMPARISON_TASKS[task];
+  const documentsBlock = sources
+    .map(source => `=== Documento ${source.document.id}: "${source.document.filename}"${source.isSummary ? ' (resumen)' : ''} ===\n${source.content}`)
+    .join('\n\n');
+
+  return `${config.instructions}${focus ? `\nConcéntrate en: ${focus}` : ''}
+
+IMPORTANTE: Responde SOLO con un JSON válido, sin texto adicional antes o después, en español.
+
+Formato de respuesta:
+{
+  "documents": [
+    { "documentId": "id del documento", "points": ["idea principal del documento relevante para la tarea"] }
+  ],
+  "items": [
+    { "topic": "tema", "details": "explicación", "documentIds": ["ids de los documentos involucrados"] }
+  ],
+  "synthesis": "síntesis conjunta en uno a tres párrafos"
+}
+
+"documents" debe tener una entrada por cada documento. "items" contiene las ${config.itemsLabel}.
+
+${documentsBlock}`;
+}
+
+// Convertir la respuesta del modelo en el resultado estructurado; null si no es un JSON usable
+function parseComparisonResponse(response, sources) {
+  const jsonMatch = String(response || '').match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    return null;
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonMatch[0]);
+  } catch (parseError) {
+    console.error('Error al parsear la comparación de Gemini:', parseError.message);
+    return null;
+  }
+
+  const ids = sources.map(source => source.document.id);
+  const sections = Array.isArray(parsed.documents) ? parsed.documents : [];
+  const items = Array.isArray(parsed.items) ? parsed.items : [];
+
+  return {
+    documents: sources.map(source => {
+      const section = sections.find(s => s && s.documentId === source.document.id) || {};
+      return {
+        documentId: source.document.id,
+        filename: source.document.filename,
+        points: Array.isArray(section.points) ? section.points.map(String) : []
+      };
+    }),
+    items: items
+      .filter(item => item && item.topic)
+      .map(item => ({
+        topic: String(item.topic),
+        details: String(item.details || ''),
+        documentIds: Array.isArray(item.documentIds) ? item.documentIds.filter(docId => ids.includes(docId)) : []
+      })),
+    synthesis: String(parsed.synthesis || '').trim()
+  };
+}
+
+module.exports = {
+  MIN_COMPARE_DOCUMENTS,
+  MAX_COMPARE_DOCUMENTS,
+  COMPARISON_TASKS,
+  isValidComparisonTask,
+  getPerDocumentBudget,
+  buildComparisonPrompt,
+  parseComparisonResponse
+};
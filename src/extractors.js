@@ -0,0 +1,314 @@
+const path = require('path');
+const fs = require('fs');
+const pdfParse = require('pdf-parse');
+const ocr = require('./ocr');
+const { joinPages } = require('./pages');
+const structure = require('./structure');
+
+// ✅ Registro de extractores de texto
+// Cada extractor declara los MIME types y extensiones que soporta y devuelve el texto
+// de cada página ({ pageTexts }). extractDocument arma siempre la misma forma
+// { text, pages, pageOffsets } para que pills, chat y TTS funcionen igual con cualquier formato.
+const extractors = [];
+
+function registerExtractor({ name, mimeTypes = [], extensions = [], extract }) {
+  extractors.push({
+    name,
+    mimeTypes: mimeTypes.map(m => m.toLowerCase()),
+    extensions: extensions.map(e => e.toLowerCase()),
+    extract
+  });
+}
+
+// MIME types que no identifican el formato (los navegadores los envían para .md o .epub)
+const GENERIC_MIME_TYPES = new Set(['', 'application/octet-stream', 'text/plain']);
+
+// Elegir extractor: por MIME type si es específico, si no por extensión
+function findExtractor(mimetype, filename) {
+  const mime = String(mimetype || '').toLowerCase();
+  const ext = path.extname(String(filename || '')).toLowerCase();
+  const byMime = extractors.find(e => e.mimeTypes.includes(mime));
+  const byExtension = extractors.find(e => e.extensions.includes(ext));
+  if (GENERIC_MIME_TYPES.has(mime)) {
+    return byExtension || byMime || null;
+  }
+  return byMime || byExtension || null;
+}
+
+function getSupportedExtensions() {
+  return [...new Set(extractors.flatMap(e => e.extensions))];
+}
+
+// Extraer texto de un archivo subido con el extractor que corresponda
+// onProgress(fraction, stage) es opcional y recibe el avance entre 0 y 1
+async function extractDocument(filePath, { mimetype, filename, onProgress = () => {} }) {
+  const extractor = findExtractor(mimetype, filename);
+  if (!extractor) {
+    throw new Error(`Formato de archivo no soportado: ${filename}`);
+  }
+
+  const buffer = fs.readFileSync(filePath);
+  let result;
+  try {
+    result = await extractor.extract(buffer, { onProgress });
+  } catch (error) {
+    console.error(`Error al extraer texto (${extractor.name}):`, error);
+    throw new Error(`Error al extraer texto del archivo ${extractor.name.toUpperCase()}: ${error.message}`);
+  }
+
+  const pageTexts = result.pageTexts && result.pageTexts.length > 0 ? result.pageTexts : [''];
+  const { text, pageOffsets } = joinPages(pageTexts);
+  return {
+    format: extractor.name,
+    text,
+    pageTexts,
+    pages: pageOffsets.length,
+    pageOffsets,
+    ocr: result.ocr || null,
+    // Títulos del formato original (outline del PDF, h1-h6, #) para detectar la estructura
+    headings: result.headings || [],
+    headingsSource: result.headingsSource || 'markup'
+  };
+}
+
+// ✅ Conversión simple de HTML/XHTML a texto plano (usada por HTML y EPUB)
+const HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  aacute: 'á', eacute: 'é', iacute: 'í', oacute: 'ó', uacute: 'ú', ntilde: 'ñ', uuml: 'ü',
+  Aacute: 'Á', Eacute: 'É', Iacute: 'Í', Oacute: 'Ó', Uacute: 'Ú', Ntilde: 'Ñ', Uuml: 'Ü',
+  iquest: '¿', iexcl: '¡', laquo: '«', raquo: '»', hellip: '…', mdash: '—', ndash: '–'
+};
+
+function decodeHtmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return HTML_ENTITIES[entity] !== undefined ? HTML_ENTITIES[entity] : match;
+  });
+}
+
+function htmlToText(html) {
+  return decodeHtmlEntities(
+    String(html)
+      .replace(/<(script|style|head)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(p|div|h[1-6]|li|tr|section|article|header|footer|nav|blockquote|pre)>/gi, '\n\n')
+      .replace(/<li[^>]*>/gi, '- ')
+      .replace(/<[^>]+>/g, '')
+  )
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// ✅ Markdown a texto plano: quitar la sintaxis para que TTS no lea símbolos
+function markdownToText(markdown) {
+  return String(markdown)
+    .replace(/```[^\n]*\n([\s\S]*?)```/g, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/^[ \t]*>[ \t]?/gm, '')
+    .replace(/^[ \t]*[-*+][ \t]+/gm, '- ')
+    .replace(/^[ \t]*([-*_][ \t]*){3,}$/gm, '')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(\*|_)(.+?)\1/g, '$2')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Decodificar texto plano respetando BOM UTF-8
+const bufferToString = (buffer) => buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+// ✅ Extractores registrados
+// Render de página equivalente al de pdf-parse, guardando el texto de cada página
+const collectPageText = (pageTexts) => (pageData) => {
+  return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+    .then((textContent) => {
+      let lastY;
+      let text = '';
+      for (const item of textContent.items) {
+        if (lastY === item.transform[5] || !lastY) {
+          text += item.str;
+        } else {
+          text += '\n' + item.str;
+        }
+        lastY = item.transform[5];
+      }
+      pageTexts[pageData.pageIndex] = text;
+      return text;
+    });
+};
+
+registerExtractor({
+  name: 'pdf',
+  mimeTypes: ['application/pdf'],
+  extensions: ['.pdf'],
+  extract: async (buffer, { onProgress }) => {
+    // pdf-parse v1.1.1: función directa
+    const pageTexts = [];
+    onProgress(0, 'extracting');
+    const pdfData = await pdfParse(buffer, { pagerender: collectPageText(pageTexts) });
+    const pages = pdfData.numpages;
+    for (let i = 0; i < pages; i++) {
+      pageTexts[i] = pageTexts[i] || '';
+    }
+
+    // Marcadores del PDF (si los tiene) para la tabla de contenidos
+    let headings = [];
+    try {
+      headings = await structure.extractPdfOutline(buffer);
+    } catch (outlineError) {
+      console.warn('⚠️ No se pudo leer el outline del PDF:', outlineError.message);
+    }
+    const outlineInfo = { headings, headingsSource: 'pdf-outline' };
+
+    // Páginas escaneadas (solo imagen): aplicar OCR y reemplazar su texto
+    const imageOnlyPages = ocr.findImageOnlyPages(pageTexts);
+    if (imageOnlyPages.length === 0 || !ocr.OCR_ENABLED) {
+      return { pageTexts, ...outlineInfo };
+    }
+
+    let ocrResults = [];
+    try {
+      // La extracción de texto cuenta como el primer 20%, el OCR como el resto
+      onProgress(0.2, 'ocr');
+      ocrResults = await ocr.ocrPdfPages(buffer, imageOnlyPages, (done, total) => {
+        onProgress(0.2 + 0.8 * (done / total), 'ocr');
+      });
+    } catch (ocrError) {
+      console.error('⚠️ No se pudo ejecutar OCR, se conserva el texto extraído:', ocrError.message);
+      return { pageTexts, ...outlineInfo };
+    }
+
+    ocrResults.forEach(result => {
+      if (result.text) {
+        pageTexts[result.page - 1] = result.text;
+      }
+    });
+
+    const confidences = ocrResults.filter(r => r.text).map(r => r.confidence);
+    return {
+      pageTexts,
+      ...outlineInfo,
+      ocr: {
+        engine: 'tesseract',
+        languages: ocr.OCR_LANGUAGES,
+        pages: ocrResults.map(({ page, confidence, text, error }) => ({
+          page,
+          confidence,
+          textLength: text.length,
+          ...(error ? { error } : {})
+        })),
+        averageConfidence: confidences.length > 0
+          ? Math.round(confidences.reduce((sum, c) => sum + c, 0) / confidences.length * 100) / 100
+          : 0
+      }
+    };
+  }
+});
+
+registerExtractor({
+  name: 'docx',
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  extensions: ['.docx'],
+  extract: async (buffer) => {
+    const mammoth = require('mammoth');
+    const result = await mammoth.extractRawText({ buffer });
+    // Los estilos de título de Word se convierten en h1-h6
+    const { value: html } = await mammoth.convertToHtml({ buffer });
+    return { pageTexts: [result.value], headings: structure.extractHtmlHeadings(html) };
+  }
+});
+
+registerExtractor({
+  name: 'epub',
+  mimeTypes: ['application/epub+zip'],
+  extensions: ['.epub'],
+  extract: async (buffer) => {
+    const JSZip = require('jszip');
+    const zip = await JSZip.loadAsync(buffer);
+
+    // container.xml indica dónde está el paquete OPF
+    const containerFile = zip.file('META-INF/container.xml');
+    if (!containerFile) {
+      throw new Error('EPUB inválido: falta META-INF/container.xml');
+    }
+    const container = await containerFile.async('string');
+    const rootMatch = container.match(/full-path="([^"]+)"/);
+    if (!rootMatch || !zip.file(rootMatch[1])) {
+      throw new Error('EPUB inválido: no se encontró el archivo OPF');
+    }
+    const opfPath = rootMatch[1];
+    const opf = await zip.file(opfPath).async('string');
+    const baseDir = path.posix.dirname(opfPath);
+
+    // Manifest (id -> href) y spine (orden de lectura)
+    const manifest = {};
+    for (const [, attrs] of opf.matchAll(/<item\b([^>]*)\/?>/g)) {
+      const id = (attrs.match(/\bid="([^"]+)"/) || [])[1];
+      const href = (attrs.match(/\bhref="([^"]+)"/) || [])[1];
+      if (id && href) manifest[id] = href;
+    }
+    const spine = [...opf.matchAll(/<itemref\b[^>]*\bidref="([^"]+)"/g)].map(m => m[1]);
+
+    // Cada capítulo del spine cuenta como una página lógica
+    const chapters = [];
+    const headings = [];
+    for (const idref of spine) {
+      const href = manifest[idref];
+      if (!href) continue;
+      const entryPath = baseDir === '.' ? href : path.posix.join(baseDir, href);
+      const entry = zip.file(decodeURIComponent(entryPath.split('#')[0]));
+      if (!entry) continue;
+      const chapterHtml = await entry.async('string');
+      const chapterText = htmlToText(chapterHtml);
+      if (!chapterText) continue;
+      chapters.push(chapterText);
+      structure.extractHtmlHeadings(chapterHtml).forEach(h => headings.push({ ...h, page: chapters.length }));
+    }
+
+    return { pageTexts: chapters, headings };
+  }
+});
+
+registerExtractor({
+  name: 'html',
+  mimeTypes: ['text/html', 'application/xhtml+xml'],
+  extensions: ['.html', '.htm', '.xhtml'],
+  extract: async (buffer) => {
+    const html = bufferToString(buffer);
+    return { pageTexts: [htmlToText(html)], headings: structure.extractHtmlHeadings(html) };
+  }
+});
+
+registerExtractor({
+  name: 'markdown',
+  mimeTypes: ['text/markdown', 'text/x-markdown'],
+  extensions: ['.md', '.markdown'],
+  extract: async (buffer) => {
+    const markdown = bufferToString(buffer);
+    return { pageTexts: [markdownToText(markdown)], headings: structure.extractMarkdownHeadings(markdown) };
+  }
+});
+
+registerExtractor({
+  name: 'txt',
+  mimeTypes: ['text/plain'],
+  extensions: ['.txt'],
+  extract: async (buffer) => ({ pageTexts: [bufferToString(buffer)] })
+});
+
+module.exports = {
+  registerExtractor,
+  findExtractor,
+  getSupportedExtensions,
+  extractDocument,
+  htmlToText,
+  markdownToText
+};
@@ -6,87 +6,54 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
-const pdfParse = require('pdf-parse');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const { google } = require('googleapis');
+const {
+  signAccessToken,
+  getTokenExpiresIn,
+  signOAuthState,
+  verifyOAuthState,
+  hashPassword,
+  verifyPassword,
+  createResetToken,
+  hashResetToken,
+  requireAuth
+} = require('./auth');
+const usersStore = require('./usersStore');
+const { findExtractor, getSupportedExtensions, extractDocument } = require('./extractors');
+const { registerJobHandler, enqueueJob, getJob, deleteJobsForDocument, resumePendingJobs } = require('./jobs');
+const { joinPages, getPageCount, getPageText, getPageBounds, getPageForOffset, parsePageRange, getPageRangeText } = require('./pages');
+const { normalizePages, normalizeText } = require('./normalize');
+const { detectDocumentStructure, findSection, getSectionText } = require('./structure');
+const { getCollection } = require('./storage');
+const chatSessions = require('./chatSessions');
+const { isLLMAvailable, getProviderName, getModelRegistry, generateText, streamText } = require('./llm');
+const { PILL_SCHEMAS, generateStructured } = require('./structuredOutput');
+const { SUMMARY_LEVELS, isValidSummaryLevel, summarizeText, extractiveSummary } = require('./summarize');
+const { runSingleFlight } = require('./singleFlight');
+const { recordUsage, getUsageReport } = require('./usage');
+const { enforceLimits } = require('./rateLimits');
+const {
+  MIN_COMPARE_DOCUMENTS,
+  MAX_COMPARE_DOCUMENTS,
+  COMPARISON_TASKS,
+  isValidComparisonTask,
+  getPerDocumentBudget,
+  buildComparisonPrompt,
+  parseComparisonResponse
+} = require('./compare');
+const { indexDocument, deleteDocumentIndex, searchDocument, searchLibrary } = require('./retrieval');
+const { formatPassagesForPrompt, parseCitedAnswer, getVisibleAnswer, resolveCitations } = require('./citations');
+const { SUPPORTED_LANGUAGES, detectLanguage } = require('./language');
+const { DEFAULT_LANGUAGE, isSupportedLanguage, getPromptTemplates } = require('./prompts');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// ✅ Configuración de Gemini Pro
-let geminiClient = null;
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-if (!GEMINI_API_KEY) {
-  console.warn('⚠️ GEMINI_API_KEY no está configurada en las variables de entorno');
+// Detrás de un proxy (TRUST_PROXY=1, o la configuración que acepte Express) req.ip es la IP
+// del cliente y no la del proxy; los límites por IP dependen de esto
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY, 10) : process.env.TRUST_PROXY);
 }
-if (GEMINI_API_KEY) {
-  try {
-    geminiClient = new GoogleGenerativeAI(GEMINI_API_KEY);
-    console.log('✅ Gemini Pro configurado correctamente');
-  } catch (error) {
-    console.error('⚠️ Error al configurar Gemini Pro:', error.message);
-  }
-} else {
-  console.log('ℹ️ GEMINI_API_KEY no configurada. Las pills se generarán con lógica simple.');
-}
-
-// ✅ Función helper para generar contenido con Gemini Pro con timeout
-async function generateWithGemini(prompt, maxTokens = 2000, timeoutMs = 30000, modelName = 'gemini-2.5-flash') {
-  if (!geminiClient) {
-    return null; // Retornar null si Gemini no está configurado
-  }
-
-  // Crear una promesa con timeout
-  const timeoutPromise = new Promise((_, reject) => {
-    setTimeout(() => reject(new Error('Timeout: La generación con Gemini tardó demasiado')), timeoutMs);
-  });
-
-  const generatePromise = async () => {
-    try {
-      console.log(`🔄 Iniciando generación con Gemini (modelo: ${modelName}, timeout: ${timeoutMs}ms)...`);
-      const startTime = Date.now();
-      
-      // Usar el modelo especificado (por defecto gemini-2.5-flash)
-      const model = geminiClient.getGenerativeModel({ model: modelName });
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-      
-      const elapsedTime = Date.now() - startTime;
-      console.log(`✅ Gemini respondió en ${elapsedTime}ms`);
-      
-      return text;
-    } catch (error) {
-      console.error('Error al generar con Gemini Pro:', error.message);
-      // Si falla con el modelo especificado, intentar con gemini-pro como fallback
-      if (modelName !== 'gemini-pro') {
-        try {
-          console.log('⚠️ Intentando con gemini-pro como fallback...');
-          const fallbackModel = geminiClient.getGenerativeModel({ model: 'gemini-pro' });
-          const result = await fallbackModel.generateContent(prompt);
-          const response = await result.response;
-          return response.text();
-        } catch (fallbackError) {
-          console.error('Error con fallback gemini-pro:', fallbackError.message);
-          throw fallbackError;
-        }
-      } else {
-        throw error;
-      }
-    }
-  };
-
-  try {
-    // Race entre la generación y el timeout
-    return await Promise.race([generatePromise(), timeoutPromise]);
-  } catch (error) {
-    if (error.message.includes('Timeout')) {
-      console.error(`⏱️ Timeout después de ${timeoutMs}ms`);
-    }
-    return null;
-  }
-}
-
 
 // Middlewares
 app.use(cors());
@@ -114,35 +81,115 @@ const upload = multer({
     fileSize: 10 * 1024 * 1024 // 10MB límite
   },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf') {
+    // Aceptar cualquier formato con un extractor registrado (PDF, DOCX, EPUB, TXT, Markdown, HTML)
+    if (findExtractor(file.mimetype, file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Solo se permiten archivos PDF'), false);
+      cb(new Error(`Formato no soportado. Formatos permitidos: ${getSupportedExtensions().join(', ')}`), false);
     }
   }
 });
 
-// ✅ Usuarios de prueba (hardcodeados para desarrollo)
-const TEST_USERS = [
-  {
-    id: 1,
-    email: 'test@audia.com',
-    password: 'test123',
-    name: 'Usuario de Prueba'
-  },
-  {
-    id: 2,
-    email: 'admin@audia.com',
-    password: 'admin123',
-    name: 'Administrador'
-  },
-  {
-    id: 3,
-    email: 'demo@audia.com',
-    password: 'demo123',
-    name: 'Usuario Demo'
+// ✅ Reglas de validación de credenciales
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000; // 1 hora
+
+// ✅ Entrega del token de reseteo
+// El token nunca viaja en la respuesta de forgot-password (cualquiera que conozca el email podría
+// usarlo). Si RESET_PASSWORD_WEBHOOK_URL está configurado se envía ahí ({ email, name, resetToken,
+// expiresAt }) para que el servicio de correo lo haga llegar al usuario; fuera de producción
+// además se escribe en el log del servidor para poder probar el flujo en local.
+const RESET_PASSWORD_WEBHOOK_URL = process.env.RESET_PASSWORD_WEBHOOK_URL;
+
+const deliverResetToken = async (user, token, expiresAt) => {
+  if (process.env.NODE_ENV !== 'production') {
+    console.log(`🔑 Token de reseteo para ${user.email} (solo desarrollo): ${token}`);
+  }
+  if (!RESET_PASSWORD_WEBHOOK_URL) {
+    return;
+  }
+  try {
+    const response = await fetch(RESET_PASSWORD_WEBHOOK_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: user.email, name: user.name, resetToken: token, expiresAt })
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+  } catch (error) {
+    console.error(`⚠️ No se pudo entregar el token de reseteo de ${user.email}:`, error.message);
+  }
+};
+
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres`;
+  }
+  return null;
+};
+
+// ✅ Endpoint de registro
+app.post('/api/v1/auth/register', (req, res) => {
+  try {
+    const { email, password, name } = req.body;
+
+    if (!email || !password || !name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email, contraseña y nombre son requeridos'
+      });
+    }
+
+    if (!EMAIL_REGEX.test(String(email).trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email inválido'
+      });
+    }
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError
+      });
+    }
+
+    // Verificar que el email no esté registrado
+    if (usersStore.findByEmail(email)) {
+      return res.status(409).json({
+        success: false,
+        message: 'El email ya está registrado'
+      });
+    }
+
+    const user = usersStore.create({
+      email: email,
+      name: String(name).trim(),
+      passwordHash: hashPassword(password)
+    });
+    console.log(`✅ Usuario registrado: ${user.email} (${user.id})`);
+
+    const token = signAccessToken(user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Registro exitoso',
+      user: usersStore.toPublicUser(user),
+      token: token,
+      tokenType: 'Bearer',
+      expiresIn: getTokenExpiresIn(token)
+    });
+  } catch (error) {
+    console.error('Error en endpoint de registro:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor al procesar el registro'
+    });
   }
-];
+});
 
 // ✅ Endpoint de login
 app.post('/api/v1/auth/login', (req, res) => {
@@ -157,26 +204,26 @@ app.post('/api/v1/auth/login', (req, res) => {
       });
     }
 
-    // Buscar usuario
-    const user = TEST_USERS.find(
-      u => u.email.toLowerCase() === email.toLowerCase() && u.password === password
-    );
+    // Buscar usuario y verificar el hash de la contraseña
+    const user = usersStore.findByEmail(email);
 
-    if (!user) {
+    if (!user || !verifyPassword(String(password), user.passwordHash)) {
       return res.status(401).json({
         success: false,
         message: 'Credenciales inválidas'
       });
     }
 
-    // Login exitoso - retornar datos del usuario (sin la contraseña)
-    const { password: _, ...userWithoutPassword } = user;
+    // Login exitoso - retornar datos públicos del usuario y un JWT firmado
+    const token = signAccessToken(user);
     
     res.json({
       success: true,
       message: 'Login exitoso',
-      user: userWithoutPassword,
-      token: `mock-token-${user.id}-${Date.now()}` // Token simple para desarrollo
+      user: usersStore.toPublicUser(user),
+      token: token,
+      tokenType: 'Bearer',
+      expiresIn: getTokenExpiresIn(token)
     });
   } catch (error) {
     console.error('Error en endpoint de login:', error);
@@ -187,18 +234,342 @@ app.post('/api/v1/auth/login', (req, res) => {
   }
 });
 
-// Almacenamiento en memoria de documentos procesados (en producción usar BD)
-const documentsStore = new Map();
+// ✅ Endpoint para cambiar la contraseña (usuario autenticado)
+app.post('/api/v1/auth/change-password', requireAuth, (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'currentPassword y newPassword son requeridos'
+      });
+    }
+
+    const user = usersStore.findById(req.user.id);
+    if (!user || !verifyPassword(String(currentPassword), user.passwordHash)) {
+      return res.status(401).json({
+        success: false,
+        message: 'La contraseña actual no es correcta'
+      });
+    }
+
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError
+      });
+    }
+
+    // Cambiar tokenVersion invalida todas las sesiones abiertas; esta recibe un token nuevo
+    const updated = usersStore.update(user.id, {
+      passwordHash: hashPassword(newPassword),
+      resetToken: null,
+      tokenVersion: (user.tokenVersion || 0) + 1
+    });
+    console.log(`🔑 Contraseña actualizada para ${user.email}`);
+    const token = signAccessToken(updated);
+
+    res.json({
+      success: true,
+      message: 'Contraseña actualizada exitosamente',
+      token: token,
+      tokenType: 'Bearer',
+      expiresIn: getTokenExpiresIn(token)
+    });
+  } catch (error) {
+    console.error('Error al cambiar contraseña:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor al cambiar la contraseña'
+    });
+  }
+});
+
+// ✅ Endpoint para solicitar un token de reseteo de contraseña
+app.post('/api/v1/auth/forgot-password', (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email requerido'
+      });
+    }
+
+    // Siempre responder lo mismo para no revelar qué emails están registrados
+    const response = {
+      success: true,
+      message: 'Si el email está registrado, se enviaron instrucciones para restablecer la contraseña'
+    };
+
+    const user = usersStore.findByEmail(email);
+    if (user) {
+      const { token, hash } = createResetToken();
+      const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MS).toISOString();
+      usersStore.update(user.id, {
+        resetToken: {
+          hash: hash,
+          expiresAt: expiresAt
+        }
+      });
+      console.log(`🔑 Token de reseteo generado para ${user.email}`);
+      // Se entrega en segundo plano para que la respuesta no tarde más si el email existe
+      deliverResetToken(user, token, expiresAt);
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Error al generar token de reseteo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor al solicitar el reseteo'
+    });
+  }
+});
+
+// ✅ Endpoint para restablecer la contraseña con el token de reseteo
+app.post('/api/v1/auth/reset-password', (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'token y newPassword son requeridos'
+      });
+    }
+
+    const user = usersStore.findByResetTokenHash(hashResetToken(token));
+    if (!user || new Date(user.resetToken.expiresAt).getTime() < Date.now()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token de reseteo inválido o expirado'
+      });
+    }
+
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError
+      });
+    }
+
+    // El token es de un solo uso; las sesiones abiertas con la contraseña anterior dejan de valer
+    usersStore.update(user.id, {
+      passwordHash: hashPassword(newPassword),
+      resetToken: null,
+      tokenVersion: (user.tokenVersion || 0) + 1
+    });
+    console.log(`🔑 Contraseña restablecida para ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Contraseña restablecida exitosamente'
+    });
+  } catch (error) {
+    console.error('Error al restablecer contraseña:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor al restablecer la contraseña'
+    });
+  }
+});
+
+// ✅ Documentos procesados (texto, metadatos y pills), persistidos en la capa de almacenamiento
+const documentsStore = getCollection('documents');
+
+// ✅ Respuesta cuando el documento aún no tiene texto utilizable
+// (procesamiento en curso, fallido o sin texto legible)
+const rejectDocumentWithoutText = (res, document) => {
+  if (document.status === 'processing') {
+    return res.status(409).json({
+      success: false,
+      message: 'El documento aún se está procesando. Intenta nuevamente en unos segundos.',
+      jobId: document.jobId
+    });
+  }
+  return res.status(400).json({
+    success: false,
+    message: document.status === 'failed'
+      ? `El procesamiento del documento falló: ${document.error || 'error desconocido'}`
+      : 'El documento no tiene texto extraído'
+  });
+};
+
+// ✅ Señal que se aborta si el cliente cierra la conexión antes de recibir la respuesta,
+// para cancelar las llamadas al modelo en curso. Se escucha el 'close' de la respuesta: el de
+// req se emite también cuando termina de leerse el cuerpo de la petición.
+// Si la señal se abortó, el endpoint no debe guardar el fallback como si fuera el resultado.
+const abortOnClientClose = (res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+};
+
+// ✅ Contexto con el que se registra el uso de tokens de las llamadas al modelo de una petición
+const getUsageContext = (req, documentId = null) => ({
+  userId: req.user.id,
+  documentId,
+  endpoint: `${req.method} ${req.route.path}`
+});
+
+// ✅ Modelo pedido por el cliente: solo se aceptan los del registro (GET /api/v1/models)
+// Devuelve la respuesta 400 si no está permitido, o null si se puede usar (o no se pidió ninguno)
+const rejectUnknownModel = (res, model) => {
+  if (model === undefined || model === null || model === '' || getModelRegistry().isAllowed(model)) {
+    return null;
+  }
+  return res.status(400).json({
+    success: false,
+    message: `Modelo no permitido: ${model}. Consulta GET /api/v1/models para ver los modelos disponibles`
+  });
+};
+
+// ✅ Estructura (secciones) del documento; se detecta y guarda la primera vez si falta
+// (documentos sincronizados o subidos antes de existir la detección)
+const getDocumentOutline = (document) => {
+  if (!document.outline) {
+    document.outline = detectDocumentStructure(document);
+    documentsStore.set(document.id, document);
+  }
+  return document.outline;
+};
+
+// ✅ Resolver el alcance de una operación: documento completo, una sección o un rango de páginas
+// Devuelve { text, scope, range } (scope null = documento completo; range = offsets del texto
+// dentro de document.text) o { error, status }
+const resolveDocumentScope = (document, { sectionId, pages } = {}) => {
+  if (sectionId) {
+    const section = findSection(getDocumentOutline(document).sections, sectionId);
+    if (!section) {
+      return { error: 'Sección no encontrada', status: 404 };
+    }
+    return {
+      text: getSectionText(document, section),
+      range: { start: section.startOffset, end: section.endOffset },
+      scope: { type: 'section', key: `section:${section.id}`, sectionId: section.id, title: section.title, page: section.page }
+    };
+  }
+
+  const pageRange = parsePageRange(pages, getPageCount(document));
+  if (pageRange && pageRange.error) {
+    return { error: pageRange.error, status: 400 };
+  }
+  if (pageRange) {
+    return {
+      text: getPageRangeText(document, pageRange),
+      range: { start: getPageBounds(document, pageRange.start).start, end: getPageBounds(document, pageRange.end).end },
+      scope: { type: 'pages', key: `pages:${pageRange.start}-${pageRange.end}`, start: pageRange.start, end: pageRange.end }
+    };
+  }
+
+  const text = document.text || '';
+  return { text, scope: null, range: { start: 0, end: text.length } };
+};
+
+// ✅ Idioma del documento; se detecta y guarda la primera vez si falta (documentos sincronizados
+// o subidos antes de existir la detección). Si no se reconoce se usa el idioma por defecto
+const getDocumentLanguage = (document) => {
+  if (!document.language) {
+    if (!document.text || document.text.trim().length === 0) {
+      return DEFAULT_LANGUAGE;
+    }
+    document.language = detectLanguage(document.text) || DEFAULT_LANGUAGE;
+    documentsStore.set(document.id, document);
+  }
+  return document.language;
+};
+
+// Idioma de salida de una pill o del chat: outputLanguage si se indicó, si no el del documento
+// Devuelve null si outputLanguage no es un idioma soportado
+const resolveOutputLanguage = (document, outputLanguage) => {
+  if (outputLanguage === undefined || outputLanguage === null || outputLanguage === '') {
+    return getDocumentLanguage(document);
+  }
+  return isSupportedLanguage(outputLanguage) ? outputLanguage : null;
+};
+
+const rejectUnsupportedLanguage = (res, language) => res.status(400).json({
+  success: false,
+  message: `Idioma no soportado: ${language}. Usa uno de: ${SUPPORTED_LANGUAGES.join(', ')}`
+});
+
+// Nombre de la pill en cache según el idioma: las del idioma del documento usan el nombre de
+// siempre (son las que devuelve GET /pills); las pedidas en otro idioma se guardan aparte
+// (p. ej. 'flashcards:en') para no reemplazarlas
+const getPillCacheName = (document, pillType, language) =>
+  language === getDocumentLanguage(document) ? pillType : `${pillType}:${language}`;
+
+// Cada pill cacheada guarda el idioma en que se generó (las listas, en cada elemento). Las que no
+// lo tienen (generadas antes de existir los idiomas, siempre en español) o lo tienen distinto no
+// sirven como cache: se regeneran en lugar de devolverse con el idioma equivocado
+const isCachedInLanguage = (pill, language) => {
+  if (Array.isArray(pill)) {
+    return pill.length > 0 && pill.every(item => item.language === language);
+  }
+  return Boolean(pill) && pill.language === language;
+};
+
+// ✅ Cache de pills por alcance: las del documento completo en document.pills,
+// las de una sección o rango de páginas en document.pills.scoped[scope.key]
+const getCachedPill = (document, scope, pillType) => {
+  const pills = document.pills || {};
+  const container = scope ? (pills.scoped || {})[scope.key] || {} : pills;
+  return container[pillType];
+};
+
+const setCachedPill = (document, scope, pillType, value) => {
+  if (!document.pills) document.pills = {};
+  if (!scope) {
+    document.pills[pillType] = value;
+  } else {
+    if (!document.pills.scoped) document.pills.scoped = {};
+    if (!document.pills.scoped[scope.key]) document.pills.scoped[scope.key] = {};
+    document.pills.scoped[scope.key][pillType] = value;
+  }
+  documentsStore.set(document.id, document);
+};
+
+// Clave de una generación en curso: las peticiones concurrentes de la misma pill del mismo
+// documento y alcance comparten una sola llamada al modelo (ver singleFlight.js)
+const getPillFlightKey = (document, scope, pillType) => `${document.id}:${scope ? scope.key : 'full'}:${pillType}`;
+
+// ✅ Obtener un documento solo si pertenece al usuario autenticado
+// Los documentos de otros usuarios se tratan como inexistentes (404) para no revelar su existencia
+const getOwnedDocument = (id, userId) => {
+  const document = documentsStore.get(id);
+  if (!document || document.ownerId !== userId) {
+    return null;
+  }
+  return document;
+};
 
 // ✅ Configuración de Google Calendar API
-const oauth2Client = new google.auth.OAuth2(
-  process.env.GOOGLE_CLIENT_ID,
-  process.env.GOOGLE_CLIENT_SECRET,
-  process.env.GOOGLE_REDIRECT_URI || 'http://localhost:3000/api/v1/calendar/oauth2callback'
-);
+// Un cliente OAuth por petición: las credenciales de un usuario nunca quedan en un cliente
+// compartido que otra petición concurrente podría usar
+const createOAuthClient = (tokens) => {
+  const client = new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    process.env.GOOGLE_REDIRECT_URI || 'http://localhost:3000/api/v1/calendar/oauth2callback'
+  );
+  if (tokens) {
+    client.setCredentials(tokens);
+  }
+  return client;
+};
 
-// Almacenar tokens de usuarios (en producción usar base de datos)
-const userTokens = new Map();
+// ✅ Tokens OAuth de Google Calendar por usuario (clave: id del usuario autenticado),
+// persistidos en la capa de almacenamiento
+const userTokens = getCollection('calendarTokens');
 
 // ✅ Middleware de manejo de errores de multer
 const handleMulterError = (err, req, res, next) => {
@@ -217,18 +588,80 @@ const handleMulterError = (err, req, res, next) => {
   next();
 };
 
-// ✅ Endpoint de subida de documentos con extracción de texto
-app.post('/api/v1/documents/upload', upload.single('file'), handleMulterError, async (req, res) => {
+// ✅ Trabajo en segundo plano: extraer el texto de un documento subido
+registerJobHandler('document-processing', async (job, reportProgress) => {
+  const document = documentsStore.get(job.documentId);
+  if (!document) {
+    throw new Error('El documento fue eliminado antes de procesarse');
+  }
+
   try {
-    // Verificar autenticación básica (en producción usar JWT real)
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        message: 'No autorizado. Token requerido.'
-      });
+    // Extraer texto con el extractor correspondiente al formato del archivo
+    const extracted = await extractDocument(document.filepath, {
+      mimetype: document.mimetype,
+      filename: document.filename,
+      onProgress: (fraction, stage) => reportProgress(5 + fraction * 90, stage)
+    });
+
+    // El documento pudo eliminarse mientras se procesaba
+    if (!documentsStore.has(document.id)) {
+      throw new Error('El documento fue eliminado durante el procesamiento');
+    }
+
+    // Limpiar el texto (encabezados, números de página, guiones, ligaduras) conservando el original
+    reportProgress(95, 'normalizing');
+    const cleaned = joinPages(normalizePages(extracted.pageTexts));
+    const extractedText = cleaned.text;
+    // Sin texto ni siquiera tras el OCR: el documento no sirve para pills, chat ni TTS
+    const status = extractedText.trim().length > 0 ? 'processed' : 'empty';
+    if (status === 'empty') {
+      console.warn(`⚠️ No se pudo extraer texto de ${document.filename} (ni con OCR)`);
+    }
+
+    Object.assign(document, {
+      format: extracted.format,
+      text: extractedText,
+      rawText: extracted.text,
+      pages: extracted.pages,
+      pageOffsets: cleaned.pageOffsets,
+      rawPageOffsets: extracted.pageOffsets,
+      ocr: extracted.ocr,
+      status: status,
+      language: detectLanguage(extractedText) || DEFAULT_LANGUAGE,
+      processedAt: new Date().toISOString()
+    });
+
+    // Detectar capítulos y títulos (outline del PDF, marcado del formato o heurística)
+    reportProgress(96, 'structure');
+    document.outline = detectDocumentStructure(document, {
+      headings: extracted.headings,
+      source: extracted.headingsSource
+    });
+    documentsStore.set(document.id, document);
+
+    // Indexar pasajes para la búsqueda del chat
+    reportProgress(98, 'indexing');
+    indexDocument(document);
+
+    return {
+      documentId: document.id,
+      pages: document.pages,
+      textLength: extractedText.length,
+      status: status
+    };
+  } catch (error) {
+    if (documentsStore.has(document.id)) {
+      document.status = 'failed';
+      document.error = error.message;
+      documentsStore.set(document.id, document);
     }
+    throw error;
+  }
+});
 
+// ✅ Endpoint de subida de documentos: guarda el archivo y encola la extracción de texto
+app.post('/api/v1/documents/upload', requireAuth, upload.single('file'), handleMulterError, async (req, res) => {
+  try {
     if (!req.file) {
       return res.status(400).json({
         success: false,
@@ -236,48 +669,41 @@ app.post('/api/v1/documents/upload', upload.single('file'), handleMulterError, a
       });
     }
 
-    // Extraer texto del PDF
-    const dataBuffer = fs.readFileSync(req.file.path);
-    
-    // pdf-parse v1.1.1: función directa
-    let pdfData;
-    try {
-      pdfData = await pdfParse(dataBuffer);
-    } catch (parseError) {
-      console.error('Error al parsear PDF:', parseError);
-      throw new Error('Error al extraer texto del PDF: ' + parseError.message);
-    }
-    
-    const extractedText = pdfData.text || '';
-
     // Generar ID único para el documento
     const documentId = `doc-${Date.now()}-${Math.round(Math.random() * 1E9)}`;
 
-    // Guardar información del documento
+    // Guardar información del documento (el texto se completa en segundo plano)
     const documentInfo = {
       id: documentId,
+      ownerId: req.user.id,
       filename: req.file.originalname,
       filepath: req.file.path,
       size: req.file.size,
       mimetype: req.file.mimetype,
-      text: extractedText,
-      pages: pdfData.numpages,
+      text: '',
+      pages: 0,
       createdAt: new Date().toISOString(),
-      status: 'processed'
+      status: 'processing'
     };
 
     documentsStore.set(documentId, documentInfo);
 
-    // Retornar información del archivo subido
-    res.json({
+    const job = enqueueJob('document-processing', {
+      ownerId: req.user.id,
+      documentId: documentId
+    });
+    documentInfo.jobId = job.id;
+    documentsStore.set(documentId, documentInfo);
+
+    // Retornar de inmediato; el cliente consulta el avance en /api/v1/jobs/:id
+    res.status(202).json({
       success: true,
-      message: 'Archivo subido y procesado exitosamente',
+      message: 'Archivo subido. El procesamiento continúa en segundo plano.',
+      jobId: job.id,
       document: {
         id: documentId,
         filename: req.file.originalname,
-        pages: pdfData.numpages,
-        textLength: extractedText.length,
-        status: 'processed'
+        status: 'processing'
       }
     });
   } catch (error) {
@@ -289,72 +715,116 @@ app.post('/api/v1/documents/upload', upload.single('file'), handleMulterError, a
   }
 });
 
-// ✅ Endpoint para listar todos los documentos del usuario
-app.get('/api/v1/documents', (req, res) => {
+// ✅ Endpoint para consultar el estado de un trabajo en segundo plano
+app.get('/api/v1/jobs/:id', requireAuth, (req, res) => {
   try {
-    // Verificar autenticación básica
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
+    const job = getJob(req.params.id);
+
+    if (!job || job.ownerId !== req.user.id) {
+      return res.status(404).json({
         success: false,
-        message: 'No autorizado. Token requerido.'
+        message: 'Trabajo no encontrado'
       });
     }
 
-    // Convertir Map a array de documentos (sin el texto completo para no sobrecargar)
-    const documents = Array.from(documentsStore.values()).map(doc => ({
-      id: doc.id,
-      filename: doc.filename,
-      pages: doc.pages,
-      textLength: doc.text.length,
-      size: doc.size,
-      createdAt: doc.createdAt,
-      status: doc.status
-    }));
+    const document = job.documentId ? documentsStore.get(job.documentId) : null;
 
     res.json({
       success: true,
-      documents: documents
+      job: {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        stage: job.stage,
+        progress: job.progress,
+        error: job.error,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        document: document ? {
+          id: document.id,
+          filename: document.filename,
+          format: document.format || null,
+          pages: document.pages,
+          textLength: document.text.length,
+          ocr: document.ocr || null,
+          status: document.status
+        } : null
+      }
     });
   } catch (error) {
-    console.error('Error al listar documentos:', error);
+    console.error('Error al obtener trabajo:', error);
     res.status(500).json({
       success: false,
-      message: error.message || 'Error al obtener los documentos'
+      message: error.message || 'Error al obtener el trabajo'
     });
   }
 });
 
-// ✅ Endpoint para sincronizar documento desde localStorage al backend
-app.post('/api/v1/documents/sync', (req, res) => {
+// ✅ Endpoint para listar todos los documentos del usuario
+app.get('/api/v1/documents', requireAuth, (req, res) => {
   try {
-    const { id, filename, text, createdAt } = req.body;
+    // Convertir Map a array de documentos (sin el texto completo para no sobrecargar)
+    const documents = Array.from(documentsStore.values())
+      .filter(doc => doc.ownerId === req.user.id)
+      .map(doc => ({
+        id: doc.id,
+        filename: doc.filename,
+        pages: doc.pages,
+        textLength: doc.text.length,
+        size: doc.size,
+        language: doc.language || null,
+        createdAt: doc.createdAt,
+        status: doc.status
+      }));
 
-    if (!id || !filename || !text) {
-      return res.status(400).json({
-        success: false,
-        message: 'ID, filename y text son requeridos'
+    res.json({
+      success: true,
+      documents: documents
+    });
+  } catch (error) {
+    console.error('Error al listar documentos:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error al obtener los documentos'
+    });
+  }
+});
+
+// ✅ Endpoint para sincronizar documento desde localStorage al backend
+app.post('/api/v1/documents/sync', requireAuth, (req, res) => {
+  try {
+    const { id, filename, text, createdAt } = req.body;
+
+    if (!id || !filename || !text) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID, filename y text son requeridos'
       });
     }
 
-    // Verificar autenticación
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
+    // No permitir sobrescribir un documento de otro usuario
+    const existing = documentsStore.get(id);
+    if (existing && existing.ownerId !== req.user.id) {
+      return res.status(404).json({
         success: false,
-        message: 'No autorizado. Token requerido.'
+        message: 'Documento no encontrado'
       });
     }
 
-    // Crear o actualizar el documento en el store
+    // Crear o actualizar el documento en el store (texto limpio + texto original)
+    const cleanedText = normalizePages([text])[0];
     const documentInfo = {
       id: id,
+      ownerId: req.user.id,
       filename: filename,
-      text: text,
+      text: cleanedText,
+      rawText: text,
       pages: 0, // No tenemos información de páginas
       size: text.length,
       createdAt: createdAt || new Date().toISOString(),
       status: 'processed',
+      language: detectLanguage(cleanedText) || DEFAULT_LANGUAGE,
       pills: {
         microSummary: null,
         flashcards: [],
@@ -364,6 +834,7 @@ app.post('/api/v1/documents/sync', (req, res) => {
     };
 
     documentsStore.set(id, documentInfo);
+    indexDocument(documentInfo);
     console.log(`✅ Documento sincronizado: ${id} (${filename})`);
 
     res.json({
@@ -372,7 +843,8 @@ app.post('/api/v1/documents/sync', (req, res) => {
       document: {
         id: documentInfo.id,
         filename: documentInfo.filename,
-        textLength: documentInfo.text.length
+        textLength: documentInfo.text.length,
+        language: documentInfo.language
       }
     });
   } catch (error) {
@@ -385,10 +857,10 @@ app.post('/api/v1/documents/sync', (req, res) => {
 });
 
 // ✅ Endpoint para obtener documento por ID
-app.get('/api/v1/documents/:id', (req, res) => {
+app.get('/api/v1/documents/:id', requireAuth, (req, res) => {
   try {
     const { id } = req.params;
-    const document = documentsStore.get(id);
+    const document = getOwnedDocument(id, req.user.id);
 
     if (!document) {
       return res.status(404).json({
@@ -404,8 +876,11 @@ app.get('/api/v1/documents/:id', (req, res) => {
         filename: document.filename,
         pages: document.pages,
         textLength: document.text.length,
+        ocr: document.ocr || null,
+        language: document.language || null,
         createdAt: document.createdAt,
-        status: document.status
+        status: document.status,
+        jobId: document.jobId || null
       }
     });
   } catch (error) {
@@ -418,37 +893,28 @@ app.get('/api/v1/documents/:id', (req, res) => {
 });
 
 // ✅ Endpoint para eliminar documento por ID
-app.delete('/api/v1/documents/:id', (req, res) => {
+app.delete('/api/v1/documents/:id', requireAuth, (req, res) => {
   try {
-    // Verificar autenticación básica
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        message: 'No autorizado. Token requerido.'
-      });
-    }
-
     const { id } = req.params;
-    const document = documentsStore.get(id);
+    const document = getOwnedDocument(id, req.user.id);
 
     if (!document) {
-      console.log(`⚠️ Documento ${id} no encontrado en memoria`);
+      console.log(`⚠️ Documento ${id} no encontrado`);
       return res.status(404).json({
         success: false,
-        message: 'Documento no encontrado. El documento puede haber sido eliminado previamente o el servidor se reinició.'
+        message: 'Documento no encontrado. El documento puede haber sido eliminado previamente.'
       });
     }
     
     console.log(`🗑️ Eliminando documento ${id}: ${document.filename}`);
 
-    // Eliminar archivo PDF si existe
+    // Eliminar archivo original si existe
     if (document.filepath && fs.existsSync(document.filepath)) {
       try {
         fs.unlinkSync(document.filepath);
-        console.log(`✅ Archivo PDF eliminado: ${document.filepath}`);
+        console.log(`✅ Archivo eliminado: ${document.filepath}`);
       } catch (err) {
-        console.error(`Error al eliminar archivo PDF ${document.filepath}:`, err);
+        console.error(`Error al eliminar archivo ${document.filepath}:`, err);
       }
     }
 
@@ -519,13 +985,16 @@ app.delete('/api/v1/documents/:id', (req, res) => {
     } else {
       console.log(`⚠️ No se puede eliminar audios: cache dir existe=${fs.existsSync(audioCacheDir)}, documento tiene texto=${!!document.text}`);
       if (!document.text) {
-        console.log(`   ⚠️ El documento no tiene texto en memoria. Esto puede pasar si el servidor se reinició.`);
+        console.log(`   ⚠️ El documento no tiene texto guardado.`);
         console.log(`   💡 Sugerencia: Los audios del cache pueden quedar huérfanos. Considera limpiar el cache manualmente si es necesario.`);
       }
     }
 
-    // Eliminar del almacenamiento en memoria
+    // Eliminar del almacenamiento (junto con su índice de búsqueda, sus trabajos y sus conversaciones)
     documentsStore.delete(id);
+    deleteDocumentIndex(id);
+    deleteJobsForDocument(id);
+    chatSessions.removeByDocument(id);
 
     res.json({
       success: true,
@@ -541,11 +1010,11 @@ app.delete('/api/v1/documents/:id', (req, res) => {
 });
 
 // ✅ Endpoint para generar resumen automático
-app.post('/api/v1/documents/:id/summary', async (req, res) => {
+app.post('/api/v1/documents/:id/summary', requireAuth, enforceLimits('pills'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { level = 'standard' } = req.body; // brief, standard, detailed
-    const document = documentsStore.get(id);
+    const { level = 'standard', sectionId, pages, regenerate = false, outputLanguage } = req.body; // brief, standard, detailed
+    const document = getOwnedDocument(id, req.user.id);
 
     if (!document) {
       return res.status(404).json({
@@ -554,21 +1023,113 @@ app.post('/api/v1/documents/:id/summary', async (req, res) => {
       });
     }
 
-    // Simular generación de resumen (en producción usar IA real)
-    const text = document.text;
-    const summaryLength = level === 'brief' ? 200 : level === 'standard' ? 500 : 1000;
-    const summary = text.substring(0, summaryLength) + '... [Resumen generado automáticamente]';
+    if (!isValidSummaryLevel(level)) {
+      return res.status(400).json({
+        success: false,
+        message: `Nivel de resumen inválido. Usa uno de: ${Object.keys(SUMMARY_LEVELS).join(', ')}`
+      });
+    }
 
-    // Guardar resumen en el documento
-    document.summary = summary;
-    document.summaryLevel = level;
-    documentsStore.set(id, document);
+    // Idioma del resumen: el del documento o el indicado en outputLanguage
+    const language = resolveOutputLanguage(document, outputLanguage);
+    if (!language) {
+      return rejectUnsupportedLanguage(res, outputLanguage);
+    }
+    const pillName = getPillCacheName(document, 'summaries', language);
+
+    // Alcance opcional: una sección del outline o un rango de páginas
+    const scoped = resolveDocumentScope(document, { sectionId, pages });
+    if (scoped.error) {
+      return res.status(scoped.status).json({
+        success: false,
+        message: scoped.error
+      });
+    }
+
+    // Verificar si ya existe un resumen de este nivel para este alcance (evitar regenerar)
+    const cachedSummaries = getCachedPill(document, scoped.scope, pillName) || {};
+    if (isCachedInLanguage(cachedSummaries[level], language) && !regenerate) {
+      console.log(`✅ Resumen (${level}) ya existe, retornando desde cache`);
+      // Las respuestas desde cache no consumen cuota
+      res.locals.quotaExempt = true;
+      return res.json({
+        success: true,
+        ...cachedSummaries[level],
+        length: cachedSummaries[level].summary.length,
+        scope: scoped.scope,
+        cached: true
+      });
+    }
+
+    if (!document.text || document.text.trim().length === 0) {
+      return rejectDocumentWithoutText(res, document);
+    }
+    const text = scoped.text;
+
+    // Resumen con el modelo; los documentos largos se resumen por fragmentos (map-reduce)
+    // Las peticiones simultáneas del mismo nivel esperan la misma generación
+    const signal = abortOnClientClose(res);
+    const usageContext = getUsageContext(req, id);
+    const summary = await runSingleFlight(getPillFlightKey(document, scoped.scope, `${pillName}:${level}`), async (flightSignal) => {
+      let result = null;
+      if (isLLMAvailable()) {
+        result = await summarizeText(text, {
+          level,
+          generate: (prompt, maxTokens) => generateText(prompt, { maxTokens, task: 'summary', signal: flightSignal, usageContext }),
+          context: getPromptTemplates(language).documentContext(document.filename, scoped.scope),
+          language
+        });
+        if (result) {
+          console.log(`✅ Resumen (${level}) generado con ${getProviderName()} a partir de ${result.chunks} fragmento(s)`);
+        }
+      }
+
+      if (flightSignal.aborted) {
+        return null;
+      }
+
+      // Fallback si el modelo no está disponible o falla
+      let generatedWith = getProviderName();
+      if (!result) {
+        result = { summary: extractiveSummary(text, level), chunks: 1 };
+        generatedWith = 'fallback';
+        console.log(`ℹ️ Resumen (${level}) generado con lógica simple (fallback)`);
+      }
+
+      const summary = {
+        summary: result.summary,
+        level: level,
+        chunks: result.chunks,
+        language: language,
+        generatedWith: generatedWith,
+        generatedAt: new Date().toISOString()
+      };
+
+      // Los resúmenes del fallback no se cachean para reintentar con el modelo la próxima vez
+      // (se relee el cache por si mientras tanto se generó otro nivel)
+      if (generatedWith !== 'fallback') {
+        setCachedPill(document, scoped.scope, pillName, { ...getCachedPill(document, scoped.scope, pillName), [level]: summary });
+      }
+
+      // Guardar el último resumen del documento completo (en el idioma del documento)
+      if (!scoped.scope && pillName === 'summaries') {
+        document.summary = summary.summary;
+        document.summaryLevel = level;
+        documentsStore.set(id, document);
+      }
+      return summary;
+    }, signal);
+
+    if (!summary) {
+      console.log(`ℹ️ Cliente desconectado, resumen (${level}) cancelado`);
+      return;
+    }
 
     res.json({
       success: true,
-      summary: summary,
-      level: level,
-      length: summary.length
+      ...summary,
+      length: summary.summary.length,
+      scope: scoped.scope
     });
   } catch (error) {
     console.error('Error al generar resumen:', error);
@@ -580,10 +1141,11 @@ app.post('/api/v1/documents/:id/summary', async (req, res) => {
 });
 
 // ✅ Endpoint para generar Micro Summary
-app.post('/api/v1/documents/:id/micro-summary', async (req, res) => {
+app.post('/api/v1/documents/:id/micro-summary', requireAuth, enforceLimits('pills'), async (req, res) => {
   try {
     const { id } = req.params;
-    const document = documentsStore.get(id);
+    const { outputLanguage } = req.body;
+    const document = getOwnedDocument(id, req.user.id);
 
     if (!document) {
       return res.status(404).json({
@@ -592,87 +1154,861 @@ app.post('/api/v1/documents/:id/micro-summary', async (req, res) => {
       });
     }
 
-    // Verificar si ya existe un micro summary (evitar regenerar)
-    if (document.pills && document.pills.microSummary) {
+    // Idioma del micro summary: el del documento o el indicado en outputLanguage
+    const language = resolveOutputLanguage(document, outputLanguage);
+    if (!language) {
+      return rejectUnsupportedLanguage(res, outputLanguage);
+    }
+    const pillName = getPillCacheName(document, 'microSummary', language);
+
+    // Verificar si ya existe un micro summary en este idioma (evitar regenerar)
+    const cachedMicroSummary = getCachedPill(document, null, pillName);
+    if (isCachedInLanguage(cachedMicroSummary, language)) {
       console.log('✅ Micro summary ya existe, retornando desde cache');
+      res.locals.quotaExempt = true;
       return res.json({
         success: true,
-        microSummary: document.pills.microSummary,
+        microSummary: cachedMicroSummary,
         cached: true
       });
     }
 
     const text = document.text || '';
     if (!text || text.trim().length === 0) {
+      return rejectDocumentWithoutText(res, document);
+    }
+
+    // Las peticiones simultáneas esperan la misma generación
+    const signal = abortOnClientClose(res);
+    const microSummary = await runSingleFlight(getPillFlightKey(document, null, pillName), async (flightSignal) => {
+      let title = path.parse(document.filename).name.replace(/_/g, ' ') || 'Resumen del documento';
+      let description = '';
+
+      // Intentar usar el modelo para generar un resumen inteligente
+      if (isLLMAvailable()) {
+        try {
+          // Gemini puede manejar hasta ~30,000 tokens (aproximadamente 120,000 caracteres)
+          // Pasamos el texto completo del PDF para mejor contexto
+          const textForModel = text.length > 100000 ? text.substring(0, 100000) + '...' : text;
+        
+          const prompt = getPromptTemplates(language).microSummary({ text: textForModel });
+
+          const modelResponse = await generateText(prompt, { maxTokens: 500, task: 'micro-summary', signal: flightSignal, usageContext: getUsageContext(req, id) });
+          if (modelResponse) {
+            description = modelResponse.trim();
+            console.log(`✅ Micro summary generado con ${getProviderName()}`);
+          }
+        } catch (error) {
+          console.error('Error al generar con el modelo, usando fallback:', error.message);
+        }
+      }
+
+      if (flightSignal.aborted) {
+        return null;
+      }
+
+      // Fallback si el modelo no está disponible o falla
+      if (!description) {
+        const summaryLength = Math.min(300, text.length);
+        description = text.substring(0, summaryLength) + (text.length > summaryLength ? '...' : '');
+        console.log('ℹ️ Micro summary generado con lógica simple (fallback)');
+      }
+    
+      const microSummary = {
+        id: `micro-summary-${id}`,
+        title: title,
+        description: description,
+        language: language,
+        documentId: id
+      };
+
+      // Guardar micro summary en el documento
+      setCachedPill(document, null, pillName, microSummary);
+      return microSummary;
+    }, signal);
+
+    if (!microSummary) {
+      console.log('ℹ️ Cliente desconectado, micro summary cancelado');
+      return;
+    }
+
+    res.json({
+      success: true,
+      microSummary: microSummary
+    });
+  } catch (error) {
+    console.error('Error al generar micro summary:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error al generar el micro summary'
+    });
+  }
+});
+
+// ✅ Endpoint para generar flashcards
+app.post('/api/v1/documents/:id/flashcards', requireAuth, enforceLimits('pills'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { count = 5, sectionId, pages, outputLanguage } = req.body;
+    const document = getOwnedDocument(id, req.user.id);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Documento no encontrado'
+      });
+    }
+
+    // Alcance opcional: una sección del outline o un rango de páginas
+    const scoped = resolveDocumentScope(document, { sectionId, pages });
+    if (scoped.error) {
+      return res.status(scoped.status).json({
+        success: false,
+        message: scoped.error
+      });
+    }
+
+    // Idioma de las flashcards: el del documento o el indicado en outputLanguage
+    const language = resolveOutputLanguage(document, outputLanguage);
+    if (!language) {
+      return rejectUnsupportedLanguage(res, outputLanguage);
+    }
+    const pillName = getPillCacheName(document, 'flashcards', language);
+
+    // Verificar si ya existen flashcards para este alcance e idioma (evitar regenerar)
+    const cachedFlashcards = getCachedPill(document, scoped.scope, pillName);
+    if (isCachedInLanguage(cachedFlashcards, language)) {
+      console.log(`✅ ${cachedFlashcards.length} flashcards ya existen, retornando desde cache`);
+      res.locals.quotaExempt = true;
+      return res.json({
+        success: true,
+        flashcards: cachedFlashcards,
+        count: cachedFlashcards.length,
+        scope: scoped.scope,
+        language: language,
+        cached: true
+      });
+    }
+
+    if (!document.text || document.text.trim().length === 0) {
+      return rejectDocumentWithoutText(res, document);
+    }
+    const text = scoped.text;
+
+    // Las peticiones simultáneas para el mismo alcance esperan la misma generación
+    const signal = abortOnClientClose(res);
+    const flashcards = await runSingleFlight(getPillFlightKey(document, scoped.scope, pillName), async (flightSignal) => {
+      let flashcards = [];
+
+      // Intentar usar el modelo para generar flashcards inteligentes
+      if (isLLMAvailable()) {
+        try {
+          // Pasar el texto completo del PDF para mejor contexto
+          const textForModel = text.length > 100000 ? text.substring(0, 100000) + '...' : text;
+        
+          const prompt = getPromptTemplates(language).flashcards({ count, text: textForModel });
+
+          // JSON validado contra el esquema (con reintentos de corrección)
+          const structured = await generateStructured(prompt, PILL_SCHEMAS.flashcards, { maxTokens: 2000, task: 'flashcards', language, signal: flightSignal, usageContext: getUsageContext(req, id) });
+          if (structured) {
+            flashcards = structured.value.slice(0, count).map((fc, i) => ({
+              id: `flashcard-${i + 1}`,
+              title: fc.title,
+              description: fc.description,
+              language: language,
+              documentId: id
+            }));
+            console.log(`✅ ${flashcards.length} flashcards generadas con ${getProviderName()} (intento ${structured.attempts})`);
+          }
+        } catch (error) {
+          console.error('Error al generar con el modelo, usando fallback:', error.message);
+        }
+      }
+
+      if (flightSignal.aborted) {
+        return null;
+      }
+
+      // Fallback si el modelo no está disponible o falla
+      if (flashcards.length === 0) {
+        const sentences = text.split('.').filter(s => s.trim().length > 20);
+        for (let i = 0; i < Math.min(count, sentences.length); i++) {
+          const sentence = sentences[i].trim();
+          const questionText = sentence.substring(0, 50);
+          flashcards.push({
+            id: `flashcard-${i + 1}`,
+            title: getPromptTemplates(language).fallbackFlashcardTitle(questionText),
+            description: sentence,
+            language: language,
+            documentId: id
+          });
+        }
+        console.log(`ℹ️ ${flashcards.length} flashcards generadas con lógica simple (fallback)`);
+      }
+
+      // Guardar flashcards en el documento
+      setCachedPill(document, scoped.scope, pillName, flashcards);
+      return flashcards;
+    }, signal);
+
+    if (!flashcards) {
+      console.log('ℹ️ Cliente desconectado, generación de flashcards cancelada');
+      return;
+    }
+
+    res.json({
+      success: true,
+      flashcards: flashcards,
+      count: flashcards.length,
+      scope: scoped.scope,
+      language: language
+    });
+  } catch (error) {
+    console.error('Error al generar flashcards:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error al generar las flashcards'
+    });
+  }
+});
+
+// ✅ Endpoint para generar Highlight Concepts
+app.post('/api/v1/documents/:id/highlight-concepts', requireAuth, enforceLimits('pills'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { count = 5, outputLanguage } = req.body;
+    const document = getOwnedDocument(id, req.user.id);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Documento no encontrado'
+      });
+    }
+
+    // Idioma de los conceptos: el del documento o el indicado en outputLanguage
+    const language = resolveOutputLanguage(document, outputLanguage);
+    if (!language) {
+      return rejectUnsupportedLanguage(res, outputLanguage);
+    }
+    const pillName = getPillCacheName(document, 'highlightConcepts', language);
+
+    // Verificar si ya existen conceptos destacados en este idioma (evitar regenerar)
+    const cachedConcepts = getCachedPill(document, null, pillName);
+    if (isCachedInLanguage(cachedConcepts, language)) {
+      console.log(`✅ ${cachedConcepts.length} conceptos destacados ya existen, retornando desde cache`);
+      res.locals.quotaExempt = true;
+      return res.json({
+        success: true,
+        concepts: cachedConcepts,
+        count: cachedConcepts.length,
+        language: language,
+        cached: true
+      });
+    }
+
+    const text = document.text || '';
+    if (!text || text.trim().length === 0) {
+      return rejectDocumentWithoutText(res, document);
+    }
+
+    // Las peticiones simultáneas esperan la misma generación
+    const signal = abortOnClientClose(res);
+    const concepts = await runSingleFlight(getPillFlightKey(document, null, pillName), async (flightSignal) => {
+      let concepts = [];
+
+      // Intentar usar el modelo para extraer conceptos clave
+      if (isLLMAvailable()) {
+        try {
+          // Pasar el texto completo del PDF para mejor contexto
+          const textForModel = text.length > 100000 ? text.substring(0, 100000) + '...' : text;
+        
+          const prompt = getPromptTemplates(language).concepts({ count, text: textForModel });
+
+          // JSON validado contra el esquema (con reintentos de corrección)
+          const structured = await generateStructured(prompt, PILL_SCHEMAS.concepts, { maxTokens: 2000, task: 'concepts', language, signal: flightSignal, usageContext: getUsageContext(req, id) });
+          if (structured) {
+            concepts = structured.value.slice(0, count).map((c, i) => ({
+              id: `concept-${i + 1}`,
+              title: c.title,
+              description: c.description,
+              language: language,
+              documentId: id
+            }));
+            console.log(`✅ ${concepts.length} conceptos destacados generados con ${getProviderName()} (intento ${structured.attempts})`);
+          }
+        } catch (error) {
+          console.error('Error al generar con el modelo, usando fallback:', error.message);
+        }
+      }
+
+      if (flightSignal.aborted) {
+        return null;
+      }
+
+      // Fallback si el modelo no está disponible o falla
+      if (concepts.length === 0) {
+        const sentences = text.split('.').filter(s => s.trim().length > 30);
+        const words = text.split(/\s+/).filter(w => w.length > 5);
+        const uniqueWords = [...new Set(words)].slice(0, count);
+      
+        for (let i = 0; i < Math.min(count, uniqueWords.length); i++) {
+          const concept = uniqueWords[i].replace(/[.,;:!?]/g, '');
+          const relatedSentence = sentences.find(s => s.includes(concept)) || sentences[i] || '';
+        
+          concepts.push({
+            id: `concept-${i + 1}`,
+            title: concept.charAt(0).toUpperCase() + concept.slice(1),
+            description: relatedSentence.trim().substring(0, 150) + (relatedSentence.length > 150 ? '...' : ''),
+            language: language,
+            documentId: id
+          });
+        }
+        console.log(`ℹ️ ${concepts.length} conceptos destacados generados con lógica simple (fallback)`);
+      }
+
+      // Guardar conceptos en el documento
+      setCachedPill(document, null, pillName, concepts);
+      return concepts;
+    }, signal);
+
+    if (!concepts) {
+      console.log('ℹ️ Cliente desconectado, extracción de conceptos cancelada');
+      return;
+    }
+
+    res.json({
+      success: true,
+      concepts: concepts,
+      count: concepts.length,
+      language: language
+    });
+  } catch (error) {
+    console.error('Error al generar conceptos destacados:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error al generar los conceptos destacados'
+    });
+  }
+});
+
+// ✅ Endpoint para obtener todas las pills de un documento
+app.get('/api/v1/documents/:id/pills', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const document = getOwnedDocument(id, req.user.id);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Documento no encontrado'
+      });
+    }
+
+    const pills = document.pills || {};
+
+    res.json({
+      success: true,
+      pills: {
+        microSummary: pills.microSummary || null,
+        flashcards: pills.flashcards || [],
+        highlightConcepts: pills.highlightConcepts || [],
+        savedPills: pills.savedPills || []
+      }
+    });
+  } catch (error) {
+    console.error('Error al obtener pills:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error al obtener las pills'
+    });
+  }
+});
+
+// ✅ Endpoint para guardar una pill (Saved Pills)
+app.post('/api/v1/documents/:id/pills/save', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { pillId, title, description } = req.body;
+    const document = getOwnedDocument(id, req.user.id);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Documento no encontrado'
+      });
+    }
+
+    if (!pillId || !title || !description) {
+      return res.status(400).json({
+        success: false,
+        message: 'pillId, title y description son requeridos'
+      });
+    }
+
+    // Guardar pill
+    if (!document.pills) document.pills = {};
+    if (!document.pills.savedPills) document.pills.savedPills = [];
+    
+    const savedPill = {
+      id: pillId,
+      title: title,
+      description: description,
+      documentId: id,
+      savedAt: new Date().toISOString()
+    };
+
+    // Evitar duplicados
+    const existingIndex = document.pills.savedPills.findIndex(p => p.id === pillId);
+    if (existingIndex >= 0) {
+      document.pills.savedPills[existingIndex] = savedPill;
+    } else {
+      document.pills.savedPills.push(savedPill);
+    }
+
+    documentsStore.set(id, document);
+
+    res.json({
+      success: true,
+      savedPill: savedPill
+    });
+  } catch (error) {
+    console.error('Error al guardar pill:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error al guardar la pill'
+    });
+  }
+});
+
+// ✅ Endpoint para obtener texto del documento (para TTS)
+app.get('/api/v1/documents/:id/text', requireAuth, (req, res) => {
+  try {
+    const { id } = req.params;
+    const document = getOwnedDocument(id, req.user.id);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Documento no encontrado'
+      });
+    }
+
+    // ?raw=true devuelve el texto tal como se extrajo, sin limpieza
+    const raw = req.query.raw === 'true' && typeof document.rawText === 'string';
+    const source = raw
+      ? { text: document.rawText, pageOffsets: document.rawPageOffsets }
+      : document;
+
+    // Rango de páginas opcional: ?pages=10-15
+    const totalPages = getPageCount(source);
+    const pageRange = parsePageRange(req.query.pages, totalPages);
+    if (pageRange && pageRange.error) {
       return res.status(400).json({
         success: false,
-        message: 'El documento no tiene texto extraído'
+        message: pageRange.error
       });
     }
 
-    let title = document.filename.replace('.pdf', '').replace(/_/g, ' ') || 'Resumen del documento';
-    let description = '';
+    const text = pageRange ? getPageRangeText(source, pageRange) : source.text;
+
+    res.json({
+      success: true,
+      text: text,
+      length: text.length,
+      totalPages: totalPages,
+      pageRange: pageRange,
+      raw: raw
+    });
+  } catch (error) {
+    console.error('Error al obtener texto:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error al obtener el texto'
+    });
+  }
+});
+
+// ✅ Endpoint para obtener la estructura del documento (capítulos, títulos y tabla de contenidos)
+app.get('/api/v1/documents/:id/outline', requireAuth, (req, res) => {
+  try {
+    const { id } = req.params;
+    const document = getOwnedDocument(id, req.user.id);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Documento no encontrado'
+      });
+    }
+
+    if (!document.text || document.text.trim().length === 0) {
+      return rejectDocumentWithoutText(res, document);
+    }
+
+    const outline = getDocumentOutline(document);
+
+    res.json({
+      success: true,
+      documentId: id,
+      source: outline.source,
+      sections: outline.sections
+    });
+  } catch (error) {
+    console.error('Error al obtener outline:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error al obtener la estructura del documento'
+    });
+  }
+});
+
+// ✅ Endpoint para obtener el texto de una página específica (1-based)
+app.get('/api/v1/documents/:id/pages/:n', requireAuth, (req, res) => {
+  try {
+    const { id, n } = req.params;
+    const document = getOwnedDocument(id, req.user.id);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Documento no encontrado'
+      });
+    }
 
-    // Intentar usar Gemini Pro para generar un resumen inteligente
-    if (geminiClient) {
+    const totalPages = getPageCount(document);
+    const pageNumber = Number(n);
+    if (!Number.isInteger(pageNumber) || pageNumber < 1 || pageNumber > totalPages) {
+      return res.status(404).json({
+        success: false,
+        message: `Página no encontrada. El documento tiene ${totalPages} página(s).`
+      });
+    }
+
+    const text = getPageText(document, pageNumber);
+
+    res.json({
+      success: true,
+      page: pageNumber,
+      totalPages: totalPages,
+      text: text,
+      length: text.length
+    });
+  } catch (error) {
+    console.error('Error al obtener página:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error al obtener la página'
+    });
+  }
+});
+
+// ✅ Contexto del chat: en lugar de pegar el documento entero, se envían solo los pasajes
+// relevantes para la pregunta (búsqueda BM25 local). Los alcances cortos se envían completos.
+const CHAT_FULL_CONTEXT_CHARS = parseInt(process.env.CHAT_FULL_CONTEXT_CHARS || '12000', 10);
+const CHAT_MAX_PASSAGES = parseInt(process.env.CHAT_MAX_PASSAGES || '6', 10);
+
+const retrieveChatPassages = (document, scoped, message, historyMessages = []) => {
+  const { range } = scoped;
+  const wholeScope = (end) => [{
+    start: range.start,
+    end: end,
+    page: getPageForOffset(document, range.start),
+    text: (document.text || '').slice(range.start, end)
+  }];
+
+  if (scoped.text.length <= CHAT_FULL_CONTEXT_CHARS) {
+    return { mode: 'full', passages: wholeScope(range.end) };
+  }
+
+  // La pregunta anterior del usuario ayuda con preguntas de seguimiento ("¿y qué pasa después?")
+  const previousQuestion = [...historyMessages].reverse().find(msg => msg.role === 'user');
+  const query = previousQuestion ? `${message} ${previousQuestion.content}` : message;
+  const passages = searchDocument(document, query, { limit: CHAT_MAX_PASSAGES, range });
+  if (passages.length === 0) {
+    // Nada coincide (ej: "¿de qué trata?"): usar el comienzo del alcance
+    return { mode: 'beginning', passages: wholeScope(range.start + CHAT_FULL_CONTEXT_CHARS) };
+  }
+  // En orden de aparición para que el modelo lea el texto en secuencia
+  return { mode: 'retrieval', passages: passages.sort((a, b) => a.start - b.start) };
+};
+
+// Prompt del chat con documento: pasajes numerados, historial guardado e instrucciones de citas,
+// en el idioma indicado. history = { summary, messages } de chatSessions.getPromptHistory
+const buildDocumentChatPrompt = ({ document, scoped, retrieval, history, message, language }) => {
+  const templates = getPromptTemplates(language);
+  return templates.documentChat({
+    documentLabel: `"${document.filename}"${templates.describeScope(scoped.scope)}`,
+    passages: formatPassagesForPrompt(retrieval.passages, { pageLabel: templates.pageLabel }),
+    // Historial de conversación para contexto (resumen de turnos antiguos + recientes)
+    conversation: templates.conversation(history),
+    citationInstructions: templates.citationInstructions,
+    message
+  });
+};
+
+// Guardar un intercambio en la conversación (creándola si es la primera pregunta) y
+// resumir en segundo plano los turnos antiguos si la conversación creció
+const saveChatExchange = (session, { ownerId, documentId, message, response, citations, usageContext, language }) => {
+  const target = session || chatSessions.create({ ownerId, documentId, title: message });
+  chatSessions.appendExchange(target.id, { message, response, citations });
+  chatSessions.compactHistory(target.id, (prompt) => generateText(prompt, { maxTokens: 500, task: 'chat-summary', usageContext }), { language })
+    .catch(error => console.error('Error al resumir el historial del chat:', error.message));
+  return target.id;
+};
+
+// ✅ Endpoint de chat contextual
+// Con chatId continúa una conversación guardada; sin chatId se crea una nueva con la primera respuesta
+app.post('/api/v1/documents/:id/chat', requireAuth, enforceLimits('chat'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { message, chatId, model, pages, sectionId, outputLanguage } = req.body;
+    const document = getOwnedDocument(id, req.user.id);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Documento no encontrado'
+      });
+    }
+
+    // El historial se lee de la conversación guardada, no del cliente
+    const session = chatId ? chatSessions.findOwned(chatId, req.user.id, id) : null;
+    if (chatId && !session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversación no encontrada'
+      });
+    }
+    const history = chatSessions.getPromptHistory(session);
+
+    if (!message) {
+      return res.status(400).json({
+        success: false,
+        message: 'Mensaje requerido'
+      });
+    }
+
+    if (rejectUnknownModel(res, model)) {
+      return;
+    }
+
+    if (!document.text || document.text.trim().length === 0) {
+      return rejectDocumentWithoutText(res, document);
+    }
+
+    // Responder en el idioma del documento salvo que se indique outputLanguage
+    const language = resolveOutputLanguage(document, outputLanguage);
+    if (!language) {
+      return rejectUnsupportedLanguage(res, outputLanguage);
+    }
+
+    // Limitar el contexto a una sección o a un rango de páginas si se indicó (ej: "10-15")
+    const scoped = resolveDocumentScope(document, { sectionId, pages });
+    if (scoped.error) {
+      return res.status(scoped.status).json({
+        success: false,
+        message: scoped.error
+      });
+    }
+
+    // Pasajes del documento relevantes para la pregunta
+    const retrieval = retrieveChatPassages(document, scoped, message, history.messages);
+
+    // Usar el modelo para generar respuesta contextual
+    let response = '';
+    let citations = [];
+    let savedChatId = session ? session.id : null;
+    const signal = abortOnClientClose(res);
+    
+    if (isLLMAvailable()) {
       try {
-        // Gemini puede manejar hasta ~30,000 tokens (aproximadamente 120,000 caracteres)
-        // Pasamos el texto completo del PDF para mejor contexto
-        const textForGemini = text.length > 100000 ? text.substring(0, 100000) + '...' : text;
-        
-        const prompt = `Genera un micro resumen conciso (máximo 200 palabras) del siguiente documento. El resumen debe ser claro, informativo y capturar los puntos principales.
+        const prompt = buildDocumentChatPrompt({ document, scoped, retrieval, history, message, language });
+
+        const usageContext = getUsageContext(req, id);
+        const modelResponse = await generateText(prompt, { maxTokens: 2000, model, task: 'chat', signal, usageContext });
+        if (modelResponse) {
+          // Separar la respuesta de sus citas y ubicar cada cita en el documento
+          const { answer, rawCitations } = parseCitedAnswer(modelResponse);
+          response = answer;
+          citations = resolveCitations(document, retrieval.passages, rawCitations);
+          console.log(`✅ Respuesta generada con ${getProviderName()} (${citations.length} cita(s))`);
+          // Solo se guardan las respuestas del modelo, no los mensajes de fallback
+          savedChatId = saveChatExchange(session, { ownerId: req.user.id, documentId: id, message, response, citations, usageContext, language });
+        } else {
+          throw new Error('El modelo no generó respuesta');
+        }
+      } catch (error) {
+        console.error('Error al generar con el modelo, usando fallback:', error.message);
+        // Fallback simple: no responde la pregunta, así que no consume cuota
+        response = getPromptTemplates(language).chatFallback.modelError(document.filename);
+        res.locals.quotaExempt = true;
+      }
+    } else {
+      // Fallback si no hay modelo configurado
+      response = getPromptTemplates(language).chatFallback.unavailable(document.filename);
+      res.locals.quotaExempt = true;
+    }
+
+    res.json({
+      success: true,
+      response: response,
+      documentId: id,
+      chatId: savedChatId,
+      scope: scoped.scope,
+      citations: citations,
+      // Sin citas verificables la respuesta no está respaldada por el documento
+      supported: citations.length > 0,
+      retrieval: {
+        mode: retrieval.mode,
+        passages: retrieval.passages.map(({ start, end, page, score }) => ({ start, end, page, score }))
+      }
+    });
+  } catch (error) {
+    console.error('Error en chat:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error al procesar el mensaje'
+    });
+  }
+});
+
+// ✅ Chat con documento en streaming (Server-Sent Events)
+// Eventos: 'token' { text } con cada fragmento de la respuesta, 'done' con la respuesta completa,
+// citas y metadatos, y 'error' { message } si el modelo falla a mitad de la respuesta.
+// Los errores previos (documento inexistente, mensaje vacío, modelo no configurado) se responden como JSON.
+app.post('/api/v1/documents/:id/chat/stream', requireAuth, enforceLimits('chat'), async (req, res) => {
+  const { id } = req.params;
+  const { message, chatId, model, pages, sectionId, outputLanguage } = req.body;
+  const document = getOwnedDocument(id, req.user.id);
+
+  if (!document) {
+    return res.status(404).json({
+      success: false,
+      message: 'Documento no encontrado'
+    });
+  }
+
+  const session = chatId ? chatSessions.findOwned(chatId, req.user.id, id) : null;
+  if (chatId && !session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Conversación no encontrada'
+    });
+  }
+  const history = chatSessions.getPromptHistory(session);
+
+  if (!message) {
+    return res.status(400).json({
+      success: false,
+      message: 'Mensaje requerido'
+    });
+  }
+
+  if (rejectUnknownModel(res, model)) {
+    return;
+  }
+
+  if (!document.text || document.text.trim().length === 0) {
+    return rejectDocumentWithoutText(res, document);
+  }
 
-Documento completo:
-${textForGemini}`;
+  const language = resolveOutputLanguage(document, outputLanguage);
+  if (!language) {
+    return rejectUnsupportedLanguage(res, outputLanguage);
+  }
+
+  const scoped = resolveDocumentScope(document, { sectionId, pages });
+  if (scoped.error) {
+    return res.status(scoped.status).json({
+      success: false,
+      message: scoped.error
+    });
+  }
+
+  if (!isLLMAvailable()) {
+    return res.status(503).json({
+      success: false,
+      message: 'El asistente avanzado no está disponible en este momento. Por favor, intenta más tarde.'
+    });
+  }
+
+  const retrieval = retrieveChatPassages(document, scoped, message, history.messages);
+  const prompt = buildDocumentChatPrompt({ document, scoped, retrieval, history, message, language });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Evitar que un proxy (nginx) acumule los eventos
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 
-        const geminiResponse = await generateWithGemini(prompt, 500);
-        if (geminiResponse) {
-          description = geminiResponse.trim();
-          console.log('✅ Micro summary generado con Gemini Pro');
-        }
-      } catch (error) {
-        console.error('Error al generar con Gemini Pro, usando fallback:', error.message);
-      }
-    }
+  // Si el cliente se desconecta se cancela la petición al modelo
+  const signal = abortOnClientClose(res);
 
-    // Fallback si Gemini no está disponible o falla
-    if (!description) {
-      const summaryLength = Math.min(300, text.length);
-      description = text.substring(0, summaryLength) + (text.length > summaryLength ? '...' : '');
-      console.log('ℹ️ Micro summary generado con lógica simple (fallback)');
+  // Lo enviado al cliente nunca incluye el bloque de citas del final
+  let rawResponse = '';
+  let sentLength = 0;
+  const sendVisibleText = (visible) => {
+    if (visible.length > sentLength) {
+      sendEvent('token', { text: visible.slice(sentLength) });
+      sentLength = visible.length;
     }
-    
-    const microSummary = {
-      id: `micro-summary-${id}`,
-      title: title,
-      description: description,
-      documentId: id
-    };
-
-    // Guardar micro summary en el documento
-    if (!document.pills) document.pills = {};
-    document.pills.microSummary = microSummary;
-    documentsStore.set(id, document);
+  };
 
-    res.json({
-      success: true,
-      microSummary: microSummary
+  try {
+    const { model: usedModel } = await streamText(prompt, (text) => {
+      rawResponse += text;
+      sendVisibleText(getVisibleAnswer(rawResponse));
+    }, { model, task: 'chat', signal, usageContext: getUsageContext(req, id) });
+
+    sendVisibleText(getVisibleAnswer(rawResponse, { complete: true }));
+    const { answer, rawCitations } = parseCitedAnswer(rawResponse);
+    const citations = resolveCitations(document, retrieval.passages, rawCitations);
+    console.log(`✅ Respuesta en streaming generada con ${getProviderName()} (${citations.length} cita(s))`);
+    const savedChatId = saveChatExchange(session, { ownerId: req.user.id, documentId: id, message, response: answer, citations, usageContext: getUsageContext(req, id), language });
+
+    sendEvent('done', {
+      response: answer,
+      documentId: id,
+      chatId: savedChatId,
+      model: usedModel,
+      scope: scoped.scope,
+      citations: citations,
+      supported: citations.length > 0,
+      retrieval: {
+        mode: retrieval.mode,
+        passages: retrieval.passages.map(({ start, end, page, score }) => ({ start, end, page, score }))
+      }
     });
   } catch (error) {
-    console.error('Error al generar micro summary:', error);
-    res.status(500).json({
-      success: false,
-      message: error.message || 'Error al generar el micro summary'
+    if (signal.aborted) {
+      console.log('ℹ️ Cliente desconectado durante el streaming del chat');
+      return;
+    }
+    console.error('Error en chat con streaming:', error.message);
+    // La respuesta ya se envió con estado 200: una respuesta fallida no consume cuota
+    res.locals.quotaExempt = true;
+    sendEvent('error', {
+      message: 'Hubo un problema al generar la respuesta con el modelo avanzado. Por favor, intenta nuevamente.',
+      partialResponse: getVisibleAnswer(rawResponse).slice(0, sentLength)
     });
+  } finally {
+    res.end();
   }
 });
 
-// ✅ Endpoint para generar flashcards
-app.post('/api/v1/documents/:id/flashcards', async (req, res) => {
+// ✅ Conversaciones guardadas del chat de un documento
+app.post('/api/v1/documents/:id/chats', requireAuth, (req, res) => {
   try {
     const { id } = req.params;
-    const { count = 5 } = req.body;
-    const document = documentsStore.get(id);
+    const { title } = req.body || {};
+    const document = getOwnedDocument(id, req.user.id);
 
     if (!document) {
       return res.status(404).json({
@@ -681,115 +2017,25 @@ app.post('/api/v1/documents/:id/flashcards', async (req, res) => {
       });
     }
 
-    // Verificar si ya existen flashcards (evitar regenerar)
-    if (document.pills && document.pills.flashcards && document.pills.flashcards.length > 0) {
-      console.log(`✅ ${document.pills.flashcards.length} flashcards ya existen, retornando desde cache`);
-      return res.json({
-        success: true,
-        flashcards: document.pills.flashcards,
-        count: document.pills.flashcards.length,
-        cached: true
-      });
-    }
-
-    const text = document.text || '';
-    if (!text || text.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'El documento no tiene texto extraído'
-      });
-    }
-
-    let flashcards = [];
-
-    // Intentar usar Gemini Pro para generar flashcards inteligentes
-    if (geminiClient) {
-      try {
-        // Pasar el texto completo del PDF para mejor contexto
-        const textForGemini = text.length > 100000 ? text.substring(0, 100000) + '...' : text;
-        
-        const prompt = `Genera ${count} flashcards educativas basadas en el siguiente documento. Cada flashcard debe tener:
-1. Un título que sea una pregunta clara y concisa
-2. Una descripción que sea la respuesta detallada
-
-IMPORTANTE: Responde SOLO con un JSON array válido, sin texto adicional antes o después.
-
-Formato de respuesta (JSON array):
-[
-  {
-    "title": "Pregunta aquí",
-    "description": "Respuesta detallada aquí"
-  }
-]
-
-Documento completo:
-${textForGemini}`;
-
-        const geminiResponse = await generateWithGemini(prompt, 2000);
-        if (geminiResponse) {
-          try {
-            // Intentar parsear JSON (Gemini puede devolver texto con JSON)
-            const jsonMatch = geminiResponse.match(/\[[\s\S]*\]/);
-            if (jsonMatch) {
-              const parsed = JSON.parse(jsonMatch[0]);
-              flashcards = parsed.slice(0, count).map((fc, i) => ({
-                id: `flashcard-${i + 1}`,
-                title: fc.title || `Pregunta ${i + 1}`,
-                description: fc.description || '',
-                documentId: id
-              }));
-              console.log(`✅ ${flashcards.length} flashcards generadas con Gemini Pro`);
-            }
-          } catch (parseError) {
-            console.error('Error al parsear respuesta de Gemini:', parseError.message);
-          }
-        }
-      } catch (error) {
-        console.error('Error al generar con Gemini Pro, usando fallback:', error.message);
-      }
-    }
-
-    // Fallback si Gemini no está disponible o falla
-    if (flashcards.length === 0) {
-      const sentences = document.text.split('.').filter(s => s.trim().length > 20);
-      for (let i = 0; i < Math.min(count, sentences.length); i++) {
-        const sentence = sentences[i].trim();
-        const questionText = sentence.substring(0, 50);
-        flashcards.push({
-          id: `flashcard-${i + 1}`,
-          title: `¿Qué información se menciona sobre: "${questionText}..."?`,
-          description: sentence,
-          documentId: id
-        });
-      }
-      console.log(`ℹ️ ${flashcards.length} flashcards generadas con lógica simple (fallback)`);
-    }
-
-    // Guardar flashcards en el documento
-    if (!document.pills) document.pills = {};
-    document.pills.flashcards = flashcards;
-    documentsStore.set(id, document);
+    const session = chatSessions.create({ ownerId: req.user.id, documentId: id, title });
 
-    res.json({
+    res.status(201).json({
       success: true,
-      flashcards: flashcards,
-      count: flashcards.length
+      chat: { ...chatSessions.toSessionSummary(session), messages: session.messages }
     });
   } catch (error) {
-    console.error('Error al generar flashcards:', error);
+    console.error('Error al crear conversación:', error);
     res.status(500).json({
       success: false,
-      message: error.message || 'Error al generar las flashcards'
+      message: error.message || 'Error al crear la conversación'
     });
   }
 });
 
-// ✅ Endpoint para generar Highlight Concepts
-app.post('/api/v1/documents/:id/highlight-concepts', async (req, res) => {
+app.get('/api/v1/documents/:id/chats', requireAuth, (req, res) => {
   try {
     const { id } = req.params;
-    const { count = 5 } = req.body;
-    const document = documentsStore.get(id);
+    const document = getOwnedDocument(id, req.user.id);
 
     if (!document) {
       return res.status(404).json({
@@ -798,328 +2044,243 @@ app.post('/api/v1/documents/:id/highlight-concepts', async (req, res) => {
       });
     }
 
-    // Verificar si ya existen conceptos destacados (evitar regenerar)
-    if (document.pills && document.pills.highlightConcepts && document.pills.highlightConcepts.length > 0) {
-      console.log(`✅ ${document.pills.highlightConcepts.length} conceptos destacados ya existen, retornando desde cache`);
-      return res.json({
-        success: true,
-        concepts: document.pills.highlightConcepts,
-        count: document.pills.highlightConcepts.length,
-        cached: true
-      });
-    }
-
-    const text = document.text || '';
-    if (!text || text.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'El documento no tiene texto extraído'
-      });
-    }
-
-    let concepts = [];
-
-    // Intentar usar Gemini Pro para extraer conceptos clave
-    if (geminiClient) {
-      try {
-        // Pasar el texto completo del PDF para mejor contexto
-        const textForGemini = text.length > 100000 ? text.substring(0, 100000) + '...' : text;
-        
-        const prompt = `Extrae los ${count} conceptos más importantes del siguiente documento. Para cada concepto, proporciona:
-1. Un título corto y claro del concepto
-2. Una descripción breve que explique el concepto en el contexto del documento
-
-IMPORTANTE: Responde SOLO con un JSON array válido, sin texto adicional antes o después.
-
-Formato de respuesta (JSON array):
-[
-  {
-    "title": "Nombre del concepto",
-    "description": "Explicación del concepto en el contexto del documento"
-  }
-]
-
-Documento completo:
-${textForGemini}`;
-
-        const geminiResponse = await generateWithGemini(prompt, 2000);
-        if (geminiResponse) {
-          try {
-            // Intentar parsear JSON
-            const jsonMatch = geminiResponse.match(/\[[\s\S]*\]/);
-            if (jsonMatch) {
-              const parsed = JSON.parse(jsonMatch[0]);
-              concepts = parsed.slice(0, count).map((c, i) => ({
-                id: `concept-${i + 1}`,
-                title: c.title || `Concepto ${i + 1}`,
-                description: c.description || '',
-                documentId: id
-              }));
-              console.log(`✅ ${concepts.length} conceptos destacados generados con Gemini Pro`);
-            }
-          } catch (parseError) {
-            console.error('Error al parsear respuesta de Gemini:', parseError.message);
-          }
-        }
-      } catch (error) {
-        console.error('Error al generar con Gemini Pro, usando fallback:', error.message);
-      }
-    }
-
-    // Fallback si Gemini no está disponible o falla
-    if (concepts.length === 0) {
-      const sentences = text.split('.').filter(s => s.trim().length > 30);
-      const words = text.split(/\s+/).filter(w => w.length > 5);
-      const uniqueWords = [...new Set(words)].slice(0, count);
-      
-      for (let i = 0; i < Math.min(count, uniqueWords.length); i++) {
-        const concept = uniqueWords[i].replace(/[.,;:!?]/g, '');
-        const relatedSentence = sentences.find(s => s.includes(concept)) || sentences[i] || '';
-        
-        concepts.push({
-          id: `concept-${i + 1}`,
-          title: concept.charAt(0).toUpperCase() + concept.slice(1),
-          description: relatedSentence.trim().substring(0, 150) + (relatedSentence.length > 150 ? '...' : ''),
-          documentId: id
-        });
-      }
-      console.log(`ℹ️ ${concepts.length} conceptos destacados generados con lógica simple (fallback)`);
-    }
-
-    // Guardar conceptos en el documento
-    if (!document.pills) document.pills = {};
-    document.pills.highlightConcepts = concepts;
-    documentsStore.set(id, document);
+    const chats = chatSessions.listByDocument(req.user.id, id).map(chatSessions.toSessionSummary);
 
     res.json({
       success: true,
-      concepts: concepts,
-      count: concepts.length
+      chats: chats,
+      count: chats.length
     });
   } catch (error) {
-    console.error('Error al generar conceptos destacados:', error);
+    console.error('Error al listar conversaciones:', error);
     res.status(500).json({
       success: false,
-      message: error.message || 'Error al generar los conceptos destacados'
+      message: error.message || 'Error al listar las conversaciones'
     });
   }
 });
 
-// ✅ Endpoint para obtener todas las pills de un documento
-app.get('/api/v1/documents/:id/pills', async (req, res) => {
+app.get('/api/v1/documents/:id/chats/:chatId', requireAuth, (req, res) => {
   try {
-    const { id } = req.params;
-    const document = documentsStore.get(id);
+    const { id, chatId } = req.params;
+    const session = getOwnedDocument(id, req.user.id) && chatSessions.findOwned(chatId, req.user.id, id);
 
-    if (!document) {
+    if (!session) {
       return res.status(404).json({
         success: false,
-        message: 'Documento no encontrado'
+        message: 'Conversación no encontrada'
       });
     }
 
-    const pills = document.pills || {};
-
     res.json({
       success: true,
-      pills: {
-        microSummary: pills.microSummary || null,
-        flashcards: pills.flashcards || [],
-        highlightConcepts: pills.highlightConcepts || [],
-        savedPills: pills.savedPills || []
+      chat: {
+        ...chatSessions.toSessionSummary(session),
+        summary: session.summary ? session.summary.text : null,
+        messages: session.messages
       }
     });
   } catch (error) {
-    console.error('Error al obtener pills:', error);
+    console.error('Error al obtener conversación:', error);
     res.status(500).json({
       success: false,
-      message: error.message || 'Error al obtener las pills'
+      message: error.message || 'Error al obtener la conversación'
     });
   }
 });
 
-// ✅ Endpoint para guardar una pill (Saved Pills)
-app.post('/api/v1/documents/:id/pills/save', async (req, res) => {
+app.patch('/api/v1/documents/:id/chats/:chatId', requireAuth, (req, res) => {
   try {
-    const { id } = req.params;
-    const { pillId, title, description } = req.body;
-    const document = documentsStore.get(id);
+    const { id, chatId } = req.params;
+    const { title } = req.body || {};
+    const session = getOwnedDocument(id, req.user.id) && chatSessions.findOwned(chatId, req.user.id, id);
 
-    if (!document) {
+    if (!session) {
       return res.status(404).json({
         success: false,
-        message: 'Documento no encontrado'
+        message: 'Conversación no encontrada'
       });
     }
 
-    if (!pillId || !title || !description) {
+    if (!title || !String(title).trim()) {
       return res.status(400).json({
         success: false,
-        message: 'pillId, title y description son requeridos'
+        message: 'Título requerido'
       });
     }
 
-    // Guardar pill
-    if (!document.pills) document.pills = {};
-    if (!document.pills.savedPills) document.pills.savedPills = [];
-    
-    const savedPill = {
-      id: pillId,
-      title: title,
-      description: description,
-      documentId: id,
-      savedAt: new Date().toISOString()
-    };
-
-    // Evitar duplicados
-    const existingIndex = document.pills.savedPills.findIndex(p => p.id === pillId);
-    if (existingIndex >= 0) {
-      document.pills.savedPills[existingIndex] = savedPill;
-    } else {
-      document.pills.savedPills.push(savedPill);
-    }
-
-    documentsStore.set(id, document);
+    const renamed = chatSessions.rename(chatId, title);
 
     res.json({
       success: true,
-      savedPill: savedPill
+      chat: chatSessions.toSessionSummary(renamed)
     });
   } catch (error) {
-    console.error('Error al guardar pill:', error);
+    console.error('Error al renombrar conversación:', error);
     res.status(500).json({
       success: false,
-      message: error.message || 'Error al guardar la pill'
+      message: error.message || 'Error al renombrar la conversación'
     });
   }
 });
 
-// ✅ Endpoint para obtener texto del documento (para TTS)
-app.get('/api/v1/documents/:id/text', (req, res) => {
+app.delete('/api/v1/documents/:id/chats/:chatId', requireAuth, (req, res) => {
   try {
-    const { id } = req.params;
-    const document = documentsStore.get(id);
+    const { id, chatId } = req.params;
+    const session = getOwnedDocument(id, req.user.id) && chatSessions.findOwned(chatId, req.user.id, id);
 
-    if (!document) {
+    if (!session) {
       return res.status(404).json({
         success: false,
-        message: 'Documento no encontrado'
+        message: 'Conversación no encontrada'
       });
     }
 
+    chatSessions.remove(chatId);
+
     res.json({
       success: true,
-      text: document.text,
-      length: document.text.length
+      message: 'Conversación eliminada exitosamente'
     });
   } catch (error) {
-    console.error('Error al obtener texto:', error);
+    console.error('Error al eliminar conversación:', error);
     res.status(500).json({
       success: false,
-      message: error.message || 'Error al obtener el texto'
+      message: error.message || 'Error al eliminar la conversación'
     });
   }
 });
 
-// ✅ Endpoint de chat contextual
-app.post('/api/v1/documents/:id/chat', async (req, res) => {
+// Contenido de un documento para la comparación: el texto si cabe en su parte del prompt, si no
+// su resumen detallado (cacheado en las pills de resúmenes)
+const getComparisonSource = async (document, budget, { signal, usageContext }) => {
+  const text = document.text;
+  if (text.length <= budget) {
+    return { document, content: text, isSummary: false };
+  }
+
+  // Como entrada de la comparación sirve un resumen en cualquier idioma (también los anteriores
+  // a los idiomas); el que se genera aquí queda en el idioma del documento para el endpoint de resumen
+  const cachedSummaries = getCachedPill(document, null, 'summaries') || {};
+  if (cachedSummaries.detailed) {
+    return { document, content: cachedSummaries.detailed.summary, isSummary: true };
+  }
+
+  const language = getDocumentLanguage(document);
+  const result = await summarizeText(text, {
+    level: 'detailed',
+    generate: (prompt, maxTokens) => generateText(prompt, { maxTokens, task: 'summary', signal, usageContext: { ...usageContext, documentId: document.id } }),
+    context: getPromptTemplates(language).documentContext(document.filename, null),
+    language
+  });
+  if (!result) {
+    // Sin resumen disponible se usa el comienzo del texto
+    return { document, content: text.substring(0, budget) + '...', isSummary: false };
+  }
+  setCachedPill(document, null, 'summaries', {
+    ...cachedSummaries,
+    detailed: { summary: result.summary, level: 'detailed', chunks: result.chunks, language, generatedWith: getProviderName(), generatedAt: new Date().toISOString() }
+  });
+  return { document, content: result.summary, isSummary: true };
+};
+
+// ✅ Endpoint para comparar varios documentos (comparar, contrastar, combinar apuntes, contradicciones)
+app.post('/api/v1/documents/compare', requireAuth, enforceLimits('compare'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { message, conversationHistory = [], model = 'gemini-2.5-flash' } = req.body;
-    const document = documentsStore.get(id);
+    const { documentIds, task = 'compare', focus } = req.body;
 
-    if (!document) {
-      return res.status(404).json({
+    if (!Array.isArray(documentIds) || new Set(documentIds).size < MIN_COMPARE_DOCUMENTS || documentIds.length > MAX_COMPARE_DOCUMENTS) {
+      return res.status(400).json({
         success: false,
-        message: 'Documento no encontrado'
+        message: `documentIds debe contener entre ${MIN_COMPARE_DOCUMENTS} y ${MAX_COMPARE_DOCUMENTS} documentos distintos`
       });
     }
 
-    if (!message) {
+    if (!isValidComparisonTask(task)) {
       return res.status(400).json({
         success: false,
-        message: 'Mensaje requerido'
+        message: `Tarea inválida. Usa una de: ${Object.keys(COMPARISON_TASKS).join(', ')}`
       });
     }
 
-    const text = document.text || '';
-    if (!text || text.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'El documento no tiene texto extraído'
-      });
+    const documents = [];
+    for (const documentId of new Set(documentIds)) {
+      const document = getOwnedDocument(documentId, req.user.id);
+      if (!document) {
+        return res.status(404).json({
+          success: false,
+          message: `Documento no encontrado: ${documentId}`
+        });
+      }
+      if (!document.text || document.text.trim().length === 0) {
+        return rejectDocumentWithoutText(res, document);
+      }
+      documents.push(document);
     }
 
-    // Usar Gemini Pro para generar respuesta contextual
-    let response = '';
-    
-    if (geminiClient) {
+    let result = null;
+    const signal = abortOnClientClose(res);
+
+    if (isLLMAvailable()) {
       try {
-        // Preparar el contexto del documento (limitar a 100,000 caracteres)
-        const textForGemini = text.length > 100000 ? text.substring(0, 100000) + '...' : text;
-        
-        // Construir el historial de conversación para contexto
-        let conversationContext = '';
-        if (conversationHistory && conversationHistory.length > 0) {
-          conversationContext = '\n\nHistorial de conversación:\n';
-          conversationHistory.slice(-5).forEach((msg, idx) => {
-            conversationContext += `${msg.role === 'user' ? 'Usuario' : 'Asistente'}: ${msg.content}\n`;
-          });
+        const budget = getPerDocumentBudget(documents.length);
+        const usageContext = getUsageContext(req);
+        const sources = [];
+        for (const document of documents) {
+          sources.push(await getComparisonSource(document, budget, { signal, usageContext }));
         }
-        
-        const prompt = `Eres un asistente experto que ayuda a los usuarios a entender documentos. 
-        
-Documento: "${document.filename}"
-Contenido del documento:
-${textForGemini}
-${conversationContext}
-
-Instrucciones:
-- Responde de manera natural y conversacional en español
-- Basa tus respuestas únicamente en el contenido del documento proporcionado
-- Si la pregunta no está relacionada con el documento, indícalo amablemente
-- Sé conciso pero informativo
-- Usa un tono profesional pero amigable
-
-Pregunta del usuario: ${message}
-
-Respuesta:`;
-
-        const geminiResponse = await generateWithGemini(prompt, 2000, 60000, model);
-        if (geminiResponse) {
-          response = geminiResponse.trim();
-          console.log(`✅ Respuesta generada con Gemini Pro (modelo: ${model})`);
-        } else {
-          throw new Error('Gemini no generó respuesta');
+
+        const prompt = buildComparisonPrompt(sources, { task, focus });
+        const modelResponse = await generateText(prompt, { maxTokens: 4000, timeoutMs: 90000, task: 'compare', signal, usageContext });
+        result = parseComparisonResponse(modelResponse, sources);
+        if (result) {
+          console.log(`✅ ${COMPARISON_TASKS[task].label} de ${documents.length} documentos generada con ${getProviderName()}`);
         }
       } catch (error) {
-        console.error('Error al generar con Gemini Pro, usando fallback:', error.message);
-        // Fallback simple
-        response = `Basándome en el documento "${document.filename}", puedo ayudarte. Sin embargo, hubo un problema al procesar tu pregunta con el modelo avanzado. Por favor, intenta reformular tu pregunta.`;
+        console.error('Error al generar con el modelo, usando fallback:', error.message);
       }
-    } else {
-      // Fallback si Gemini no está configurado
-      response = `Basándome en el documento "${document.filename}", puedo ayudarte. Sin embargo, el asistente avanzado no está disponible en este momento. Por favor, intenta más tarde.`;
+    }
+
+    // Fallback si el modelo no está disponible o falla: ideas principales de cada documento, sin síntesis
+    let generatedWith = getProviderName();
+    if (!result) {
+      generatedWith = 'fallback';
+      result = {
+        documents: documents.map(document => ({
+          documentId: document.id,
+          filename: document.filename,
+          points: extractiveSummary(document.text, 'standard').split(/(?<=[.!?])\s+/).filter(Boolean)
+        })),
+        items: [],
+        synthesis: ''
+      };
+      console.log('ℹ️ Comparación generada con lógica simple (fallback)');
     }
 
     res.json({
       success: true,
-      response: response,
-      documentId: id
+      task: task,
+      focus: focus || null,
+      ...result,
+      generatedWith: generatedWith
     });
   } catch (error) {
-    console.error('Error en chat:', error);
+    console.error('Error al comparar documentos:', error);
     res.status(500).json({
       success: false,
-      message: error.message || 'Error al procesar el mensaje'
+      message: error.message || 'Error al comparar los documentos'
     });
   }
 });
 
-// ✅ Endpoint de chat general
-app.post('/api/v1/chat', async (req, res) => {
+// ✅ Endpoint de chat general: asistente sobre todos los documentos del usuario
+// Busca los documentos y pasajes relevantes, atribuye cada parte de la respuesta a su documento
+// y también resuelve preguntas del tipo "¿cuál de mis PDFs habla de la fotosíntesis?"
+const LIBRARY_CHAT_MAX_PASSAGES = parseInt(process.env.LIBRARY_CHAT_MAX_PASSAGES || '8', 10);
+
+app.post('/api/v1/chat', requireAuth, enforceLimits('chat'), async (req, res) => {
   try {
-    const { message } = req.body;
+    const { message, model, outputLanguage } = req.body;
 
     if (!message) {
       return res.status(400).json({
@@ -1128,12 +2289,78 @@ app.post('/api/v1/chat', async (req, res) => {
       });
     }
 
-    // Simular respuesta del asistente (en producción usar IA real)
-    const response = `Hola! Soy tu asistente de AudIA. Puedo ayudarte con tus documentos. ${message}`;
+    if (rejectUnknownModel(res, model)) {
+      return;
+    }
+
+    if (outputLanguage && !isSupportedLanguage(outputLanguage)) {
+      return rejectUnsupportedLanguage(res, outputLanguage);
+    }
+
+    const documents = Array.from(documentsStore.values())
+      .filter(doc => doc.ownerId === req.user.id && doc.text && doc.text.trim().length > 0);
+
+    if (documents.length === 0) {
+      res.locals.quotaExempt = true;
+      return res.json({
+        success: true,
+        response: getPromptTemplates(outputLanguage || DEFAULT_LANGUAGE).libraryChatFallback.noDocuments,
+        citations: [],
+        sources: [],
+        supported: false
+      });
+    }
+
+    const library = searchLibrary(documents, message, { limit: LIBRARY_CHAT_MAX_PASSAGES });
+    const sources = library.documents.slice(0, 10);
+
+    // Sin outputLanguage se responde en el idioma del documento más relevante
+    const topDocument = library.passages.length > 0
+      ? library.passages[0].document
+      : sources.length > 0 ? documentsStore.get(sources[0].documentId) : null;
+    const language = outputLanguage || (topDocument ? getDocumentLanguage(topDocument) : DEFAULT_LANGUAGE);
+    const templates = getPromptTemplates(language);
+
+    let response = '';
+    let citations = [];
+    const signal = abortOnClientClose(res);
+
+    if (isLLMAvailable() && library.passages.length > 0) {
+      try {
+        const prompt = templates.libraryChat({
+          documentList: documents.map(doc => `- "${doc.filename}"`).join('\n'),
+          passages: formatPassagesForPrompt(library.passages, { pageLabel: templates.pageLabel }),
+          citationInstructions: templates.citationInstructions,
+          message
+        });
+
+        const modelResponse = await generateText(prompt, { maxTokens: 2000, model, task: 'chat', signal, usageContext: getUsageContext(req) });
+        if (modelResponse) {
+          const { answer, rawCitations } = parseCitedAnswer(modelResponse);
+          response = answer;
+          citations = resolveCitations(null, library.passages, rawCitations);
+          console.log(`✅ Respuesta de biblioteca generada con ${getProviderName()} (${library.passages.length} pasajes de ${sources.length} documento(s), ${citations.length} cita(s))`);
+        }
+      } catch (error) {
+        console.error('Error al generar con el modelo, usando fallback:', error.message);
+      }
+    }
+
+    // Fallback: sin modelo al menos se indica qué documentos tratan el tema (no consume cuota)
+    if (!response) {
+      res.locals.quotaExempt = true;
+      const fallback = templates.libraryChatFallback;
+      response = sources.length > 0
+        ? fallback.found(sources.map(fallback.describeSource).join('; '))
+        : fallback.notFound;
+    }
 
     res.json({
       success: true,
-      response: response
+      response: response,
+      citations: citations,
+      sources: sources,
+      supported: citations.length > 0
     });
   } catch (error) {
     console.error('Error en chat:', error);
@@ -1145,9 +2372,32 @@ app.post('/api/v1/chat', async (req, res) => {
 });
 
 // ✅ Endpoint TTS: Generar audio desde texto usando Gemini-TTS
-app.post('/api/v1/tts/speak', async (req, res) => {
+app.post('/api/v1/tts/speak', requireAuth, enforceLimits('tts'), async (req, res) => {
   try {
-    const { text, lang = 'es', voiceDescription, voiceType, voiceStyle, documentId } = req.body; // Aceptar voiceStyle y voiceDescription
+    const { lang = 'es', voiceDescription, voiceType, voiceStyle, documentId, sectionId, pages } = req.body; // Aceptar voiceStyle y voiceDescription
+    let { text } = req.body;
+
+    // Leer una sección o un rango de páginas directamente del documento
+    if (documentId && (sectionId || pages)) {
+      const document = getOwnedDocument(documentId, req.user.id);
+      if (!document) {
+        return res.status(404).json({
+          success: false,
+          message: 'Documento no encontrado'
+        });
+      }
+      const scoped = resolveDocumentScope(document, { sectionId, pages });
+      if (scoped.error) {
+        return res.status(scoped.status).json({
+          success: false,
+          message: scoped.error
+        });
+      }
+      text = scoped.text;
+    }
+
+    // Limpiar artefactos de extracción para que la voz no los lea (idempotente sobre texto ya limpio)
+    text = normalizeText(text);
 
     if (!text || text.trim().length === 0) {
       return res.status(400).json({
@@ -1188,6 +2438,8 @@ app.post('/api/v1/tts/speak', async (req, res) => {
     if (fs.existsSync(cachedAudioPath)) {
       const styleInfo = finalVoiceStyle ? `estilo: ${finalVoiceStyle}` : `voz: ${finalVoiceType}`;
       console.log(`✅ Audio encontrado en cache: ${cacheKey.substring(0, 16)}... (${styleInfo})`);
+      // El audio en cache no consume cuota de TTS
+      res.locals.quotaExempt = true;
       
       const audioBuffer = fs.readFileSync(cachedAudioPath);
       
@@ -1293,6 +2545,7 @@ app.post('/api/v1/tts/speak', async (req, res) => {
         console.log(`🔍 Google Cloud TTS Request: voice=${voiceName}, lang=${languageCode}, model=gemini-2.5-flash-tts, ${styleInfo2}, rate=${speakingRate}, pitch=${pitch}, textLength=${textToConvert.length}`);
         
         let response;
+        let ttsModel = 'gemini-2.5-flash-tts';
         try {
           [response] = await client.synthesizeSpeech(request);
         } catch (googleError) {
@@ -1327,6 +2580,7 @@ app.post('/api/v1/tts/speak', async (req, res) => {
             
             console.log(`🔍 Google Cloud TTS Request (estándar): voice=${standardVoiceName}, lang=${languageCode}, textLength=${textToConvert.length}`);
             [response] = await client.synthesizeSpeech(standardRequest);
+            ttsModel = 'google-tts-standard';
           } else {
             throw googleError;
           }
@@ -1336,6 +2590,7 @@ app.post('/api/v1/tts/speak', async (req, res) => {
         
         const styleInfo3 = finalVoiceStyle ? `estilo: ${finalVoiceStyle}` : `voz: ${finalVoiceType}`;
         console.log(`✅ Audio generado con Google Cloud Text-to-Speech: ${audioBuffer.length} bytes, ${styleInfo3} (${voiceName})`);
+        recordUsage({ type: 'tts', feature: 'tts', provider: 'google-cloud-tts', model: ttsModel, characters: textToConvert.length }, getUsageContext(req, documentId));
         
         // Guardar audio en cache para reutilización
         fs.writeFileSync(cachedAudioPath, audioBuffer);
@@ -1362,6 +2617,7 @@ app.post('/api/v1/tts/speak', async (req, res) => {
     // Verificar si ya existe en cache (también para gTTS)
     if (fs.existsSync(cachedAudioPath)) {
       console.log(`✅ Audio encontrado en cache (gTTS): ${cacheKey.substring(0, 16)}... (voz: ${finalVoiceType})`);
+      res.locals.quotaExempt = true;
       
       const audioBuffer = fs.readFileSync(cachedAudioPath);
       
@@ -1436,6 +2692,7 @@ app.post('/api/v1/tts/speak', async (req, res) => {
           }
           
           console.log(`✅ Audio generado exitosamente con gTTS: ${audioBuffer.length} bytes`);
+          recordUsage({ type: 'tts', feature: 'tts', provider: 'gtts', model: 'gtts', characters: textToConvert.length }, getUsageContext(req, documentId));
           
           // Guardar en cache para reutilización
           fs.writeFileSync(cachedAudioPath, audioBuffer);
@@ -1478,7 +2735,7 @@ app.post('/api/v1/tts/speak', async (req, res) => {
 });
 
 // ✅ Nuevo: valida texto
-app.post('/api/v1/tts/check', (req, res) => {
+app.post('/api/v1/tts/check', requireAuth, (req, res) => {
   const text = (req.body?.text ?? '').toString();
   const isEmpty = text.trim().length === 0;
 
@@ -1488,6 +2745,55 @@ app.post('/api/v1/tts/check', (req, res) => {
   return res.json({ status: 'ok' });
 });
 
+// ✅ Modelos disponibles: allowlist, modelo por defecto de cada tarea y cadena de fallback
+app.get('/api/v1/models', requireAuth, (req, res) => {
+  const registry = getModelRegistry();
+  res.json({
+    success: true,
+    provider: getProviderName(),
+    models: registry.models,
+    defaults: registry.defaults,
+    fallbackChain: registry.fallbackChain
+  });
+});
+
+// ✅ Reporte de uso (tokens, caracteres de TTS y costo estimado) por día, usuario y funcionalidad
+// Query: from y to (YYYY-MM-DD, por defecto los últimos 30 días). Cada usuario ve su propio uso;
+// los correos de USAGE_ADMIN_EMAILS ven el de todos y pueden filtrar con userId.
+const USAGE_REPORT_DEFAULT_DAYS = 30;
+const USAGE_ADMIN_EMAILS = (process.env.USAGE_ADMIN_EMAILS || '').split(',').map(e => e.trim().toLowerCase()).filter(Boolean);
+const isValidDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+app.get('/api/v1/usage', requireAuth, (req, res) => {
+  try {
+    const today = new Date();
+    const defaultFrom = new Date(today.getTime() - (USAGE_REPORT_DEFAULT_DAYS - 1) * 24 * 60 * 60 * 1000);
+    const { from = defaultFrom.toISOString().slice(0, 10), to = today.toISOString().slice(0, 10) } = req.query;
+
+    if (!isValidDate(from) || !isValidDate(to) || from > to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rango de fechas inválido. Usa from y to con formato YYYY-MM-DD (from <= to)'
+      });
+    }
+
+    const isAdmin = USAGE_ADMIN_EMAILS.includes(String(req.user.email).toLowerCase());
+    const userId = isAdmin ? req.query.userId : req.user.id;
+
+    res.json({
+      success: true,
+      scope: isAdmin && !userId ? 'all' : 'user',
+      ...getUsageReport({ from, to, userId })
+    });
+  } catch (error) {
+    console.error('Error al generar el reporte de uso:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al generar el reporte de uso'
+    });
+  }
+});
+
 // Demo existente
 app.get('/api/v1/hello', (_req, res) => {
   res.json({ message: 'Hola desde GPTI Backend ⚙️' });
@@ -1504,17 +2810,17 @@ app.use((err, req, res, next) => {
 
 // ✅ Endpoints de Google Calendar
 // Obtener URL de autenticación
-app.get('/api/v1/calendar/auth', (req, res) => {
+// El state firmado liga la autorización de Google al usuario autenticado que la pidió
+app.get('/api/v1/calendar/auth', requireAuth, (req, res) => {
   try {
-    // Incluir scope de userinfo para poder obtener el email del usuario
     const scopes = [
-      'https://www.googleapis.com/auth/calendar',
-      'https://www.googleapis.com/auth/userinfo.email'
+      'https://www.googleapis.com/auth/calendar'
     ];
-    const authUrl = oauth2Client.generateAuthUrl({
+    const authUrl = createOAuthClient().generateAuthUrl({
       access_type: 'offline',
       scope: scopes,
-      prompt: 'consent'
+      prompt: 'consent',
+      state: signOAuthState(req.user.id)
     });
     res.json({ success: true, authUrl });
   } catch (error) {
@@ -1524,33 +2830,30 @@ app.get('/api/v1/calendar/auth', (req, res) => {
 });
 
 // Callback de OAuth2
+// Lo abre el navegador al volver de Google (sin Bearer token): el usuario sale del state firmado
 app.get('/api/v1/calendar/oauth2callback', async (req, res) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
   try {
-    const { code } = req.query;
+    const { code, state } = req.query;
     if (!code) {
       return res.status(400).json({ success: false, message: 'Código de autorización no proporcionado' });
     }
 
-    console.log('🔄 Intercambiando código por tokens...');
-    const { tokens } = await oauth2Client.getToken(code);
-    oauth2Client.setCredentials(tokens);
-    
-    console.log('✅ Tokens obtenidos, intentando obtener información del usuario...');
-    
-    // Intentar obtener información del usuario, pero si falla, usar un ID temporal
-    let userId = 'user-' + Date.now();
+    let userId;
     try {
-      const oauth2 = google.oauth2({ version: 'v2', auth: oauth2Client });
-      const userInfo = await oauth2.userinfo.get();
-      userId = userInfo.data.email || userInfo.data.id || userId;
-      console.log('✅ Información del usuario obtenida:', userId);
-    } catch (userInfoError) {
-      console.warn('⚠️ No se pudo obtener información del usuario, usando ID temporal:', userInfoError.message);
-      // Si no podemos obtener el email, usamos un ID temporal basado en el token
-      userId = tokens.access_token ? `user-${tokens.access_token.substring(0, 20)}` : userId;
+      userId = verifyOAuthState(state);
+    } catch (stateError) {
+      console.warn('⚠️ Callback de OAuth2 con state inválido o expirado:', stateError.message);
+      return res.redirect(`${frontendUrl}/dashboard/calendar-error?error=${encodeURIComponent('Autorización inválida o expirada. Inicia la conexión con Google Calendar nuevamente.')}`);
     }
-    
-    // Guardar tokens (en producción usar base de datos)
+    if (!usersStore.findById(userId)) {
+      return res.redirect(`${frontendUrl}/dashboard/calendar-error?error=${encodeURIComponent('Usuario no encontrado')}`);
+    }
+
+    console.log('🔄 Intercambiando código por tokens...');
+    const { tokens } = await createOAuthClient().getToken(code);
+
+    // Guardar tokens en el almacenamiento persistente
     userTokens.set(userId, tokens);
     console.log('✅ Tokens guardados para usuario:', userId);
     console.log('📋 Token info:', {
@@ -1559,25 +2862,24 @@ app.get('/api/v1/calendar/oauth2callback', async (req, res) => {
       expiryDate: tokens.expiry_date ? new Date(tokens.expiry_date).toISOString() : 'N/A'
     });
     
-    // Redirigir al frontend con el token
-    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
-    res.redirect(`${frontendUrl}/dashboard/calendar-success?userId=${encodeURIComponent(userId)}`);
+    // Redirigir al frontend
+    res.redirect(`${frontendUrl}/dashboard/calendar-success`);
   } catch (error) {
     console.error('❌ Error en callback de OAuth2:', error);
-    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
     res.redirect(`${frontendUrl}/dashboard/calendar-error?error=${encodeURIComponent(error.message)}`);
   }
 });
 
 // Crear evento recurrente en Google Calendar
-app.post('/api/v1/calendar/create-event', async (req, res) => {
+app.post('/api/v1/calendar/create-event', requireAuth, async (req, res) => {
   try {
-    const { userId, documentId, documentName, daysOfWeek, time, durationWeeks = 52, timezone = 'America/Santiago' } = req.body;
+    const userId = req.user.id;
+    const { documentId, documentName, daysOfWeek, time, durationWeeks = 52, timezone = 'America/Santiago' } = req.body;
 
-    if (!userId || !documentId || !documentName || !daysOfWeek || !Array.isArray(daysOfWeek) || daysOfWeek.length === 0 || !time) {
+    if (!documentId || !documentName || !daysOfWeek || !Array.isArray(daysOfWeek) || daysOfWeek.length === 0 || !time) {
       return res.status(400).json({
         success: false,
-        message: 'userId, documentId, documentName, daysOfWeek (array), y time son requeridos'
+        message: 'documentId, documentName, daysOfWeek (array), y time son requeridos'
       });
     }
 
@@ -1587,7 +2889,6 @@ app.post('/api/v1/calendar/create-event', async (req, res) => {
     
     if (!tokens) {
       console.error('❌ No se encontraron tokens para userId:', userId);
-      console.log('📋 Usuarios con tokens guardados:', Array.from(userTokens.keys()));
       return res.status(401).json({
         success: false,
         message: 'Usuario no autenticado. Por favor, autoriza el acceso a Google Calendar primero.'
@@ -1595,10 +2896,10 @@ app.post('/api/v1/calendar/create-event', async (req, res) => {
     }
 
     // Verificar si el token está expirado y refrescarlo si es necesario
+    const oauth2Client = createOAuthClient(tokens);
     if (tokens.expiry_date && Date.now() >= tokens.expiry_date) {
       console.log('🔄 Token expirado, refrescando...');
       try {
-        oauth2Client.setCredentials(tokens);
         const { credentials } = await oauth2Client.refreshAccessToken();
         tokens.access_token = credentials.access_token;
         tokens.expiry_date = credentials.expiry_date;
@@ -1797,7 +3098,7 @@ app.post('/api/v1/calendar/create-event', async (req, res) => {
         hasData: !!response.data
       });
 
-      const calendarId = response.data.organizer?.email || userId || 'primary';
+      const calendarId = response.data.organizer?.email || 'primary';
       
       console.log('✅ Evento insertado en Google Calendar API:', {
         eventId: response.data.id,
@@ -1929,10 +3230,9 @@ app.post('/api/v1/calendar/create-event', async (req, res) => {
 });
 
 // Endpoint de prueba para listar eventos de repaso
-app.get('/api/v1/calendar/list-events/:userId', async (req, res) => {
+app.get('/api/v1/calendar/list-events', requireAuth, async (req, res) => {
   try {
-    const { userId } = req.params;
-    const tokens = userTokens.get(userId);
+    const tokens = userTokens.get(req.user.id);
     
     if (!tokens) {
       return res.status(401).json({
@@ -1941,8 +3241,7 @@ app.get('/api/v1/calendar/list-events/:userId', async (req, res) => {
       });
     }
 
-    oauth2Client.setCredentials(tokens);
-    const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+    const calendar = google.calendar({ version: 'v3', auth: createOAuthClient(tokens) });
 
     const listResponse = await calendar.events.list({
       calendarId: 'primary',
@@ -1977,9 +3276,9 @@ app.get('/api/v1/calendar/list-events/:userId', async (req, res) => {
 });
 
 // Verificar si el usuario está autenticado
-app.get('/api/v1/calendar/check-auth/:userId', async (req, res) => {
+app.get('/api/v1/calendar/check-auth', requireAuth, async (req, res) => {
   try {
-    const { userId } = req.params;
+    const userId = req.user.id;
     const tokens = userTokens.get(userId);
     
     if (!tokens) {
@@ -1987,9 +3286,8 @@ app.get('/api/v1/calendar/check-auth/:userId', async (req, res) => {
     }
 
     // Verificar si el token es válido
-    oauth2Client.setCredentials(tokens);
     try {
-      const calendar = google.calendar({ version: 'v3', auth: oauth2Client });
+      const calendar = google.calendar({ version: 'v3', auth: createOAuthClient(tokens) });
       await calendar.calendarList.list({ maxResults: 1 });
       res.json({ success: true, authenticated: true });
     } catch (error) {
@@ -2011,6 +3309,9 @@ app.use((req, res) => {
   });
 });
 
+// Retomar trabajos que quedaron pendientes antes del último reinicio
+resumePendingJobs();
+
 app.listen(PORT, () => {
   console.log(`✅ Servidor corriendo en http://localhost:${PORT}`);
 });
@@ -0,0 +1,159 @@
+const { getCollection } = require('./storage');
+
+// ✅ Cola de trabajos en segundo plano
+// Los trabajos se guardan en la colección 'jobs' para poder consultar su estado y
+// retomarlos si el servidor se reinicia a mitad de proceso. Cada tipo de trabajo
+// registra un handler con registerJobHandler.
+const JOBS_CONCURRENCY = Math.max(parseInt(process.env.JOBS_CONCURRENCY || '1', 10) || 1, 1);
+// Horas que se conservan los trabajos terminados (completados o fallidos) antes de borrarlos
+const JOBS_RETENTION_HOURS = parseFloat(process.env.JOBS_RETENTION_HOURS || '24');
+const JOBS_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+const jobsStore = getCollection('jobs');
+const handlers = new Map();
+const queue = [];
+let running = 0;
+
+function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+function getJob(id) {
+  return jobsStore.get(id) || null;
+}
+
+function updateJob(job, changes) {
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  jobsStore.set(job.id, job);
+  return job;
+}
+
+// Crear un trabajo y encolarlo; devuelve el trabajo recién creado
+function enqueueJob(type, { ownerId, documentId = null, payload = {} }) {
+  if (!handlers.has(type)) {
+    throw new Error(`Tipo de trabajo desconocido: ${type}`);
+  }
+  const now = new Date().toISOString();
+  const job = {
+    id: `job-${Date.now()}-${Math.round(Math.random() * 1E9)}`,
+    type,
+    ownerId,
+    documentId,
+    payload,
+    status: 'queued',
+    stage: 'queued',
+    progress: 0,
+    error: null,
+    result: null,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null
+  };
+  jobsStore.set(job.id, job);
+  queue.push(job.id);
+  setImmediate(processQueue);
+  return job;
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  updateJob(job, { status: 'running', stage: 'starting', startedAt: new Date().toISOString() });
+  console.log(`⚙️ Trabajo ${job.id} iniciado (${job.type})`);
+
+  const reportProgress = (progress, stage) => {
+    updateJob(job, {
+      progress: Math.max(0, Math.min(100, Math.round(progress))),
+      ...(stage ? { stage } : {})
+    });
+  };
+
+  try {
+    const result = await handler(job, reportProgress);
+    updateJob(job, {
+      status: 'completed',
+      stage: 'completed',
+      progress: 100,
+      result: result || null,
+      finishedAt: new Date().toISOString()
+    });
+    console.log(`✅ Trabajo ${job.id} completado`);
+  } catch (error) {
+    console.error(`❌ Trabajo ${job.id} falló:`, error.message);
+    updateJob(job, {
+      status: 'failed',
+      stage: 'failed',
+      error: error.message || 'Error desconocido',
+      finishedAt: new Date().toISOString()
+    });
+  }
+}
+
+function processQueue() {
+  while (running < JOBS_CONCURRENCY && queue.length > 0) {
+    const job = getJob(queue.shift());
+    if (!job) continue;
+    running++;
+    runJob(job).finally(() => {
+      running--;
+      setImmediate(processQueue);
+    });
+  }
+}
+
+const isFinished = (job) => job.status === 'completed' || job.status === 'failed';
+
+// Borrar los trabajos terminados hace más de JOBS_RETENTION_HOURS
+// Los que siguen en cola o en ejecución nunca se borran
+function purgeExpiredJobs(now = Date.now()) {
+  const cutoff = now - JOBS_RETENTION_HOURS * 60 * 60 * 1000;
+  let removed = 0;
+  for (const job of Array.from(jobsStore.values())) {
+    if (isFinished(job) && new Date(job.finishedAt || job.updatedAt).getTime() < cutoff) {
+      jobsStore.delete(job.id);
+      removed++;
+    }
+  }
+  if (removed > 0) {
+    console.log(`🗑️ ${removed} trabajo(s) terminado(s) eliminado(s) por antigüedad`);
+  }
+  return removed;
+}
+
+setInterval(() => purgeExpiredJobs(), JOBS_CLEANUP_INTERVAL_MS).unref();
+
+// Borrar los trabajos terminados de un documento (al eliminar el documento)
+// Uno todavía en curso falla al no encontrar el documento y lo borra la limpieza periódica
+function deleteJobsForDocument(documentId) {
+  for (const job of Array.from(jobsStore.values())) {
+    if (job.documentId === documentId && isFinished(job)) {
+      jobsStore.delete(job.id);
+    }
+  }
+}
+
+// Volver a encolar los trabajos que quedaron pendientes o a medias al reiniciar
+function resumePendingJobs() {
+  purgeExpiredJobs();
+  const pending = Array.from(jobsStore.values())
+    .filter(job => job.status === 'queued' || job.status === 'running')
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  pending.forEach(job => {
+    updateJob(job, { status: 'queued', stage: 'queued', progress: 0 });
+    queue.push(job.id);
+  });
+
+  if (pending.length > 0) {
+    console.log(`🔄 ${pending.length} trabajo(s) pendiente(s) reanudado(s)`);
+    setImmediate(processQueue);
+  }
+}
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  getJob,
+  deleteJobsForDocument,
+  resumePendingJobs
+};
@@ -0,0 +1,55 @@
+// ✅ Detección del idioma de un documento
+// Cuenta palabras funcionales propias de cada idioma soportado en una muestra del texto (del
+// principio y del medio, para saltar portadas e índices). Solo se usan palabras que no se
+// comparten entre idiomas (p. ej. "de" o "que" no sirven para distinguir español de portugués).
+const LANGUAGE_MARKERS = {
+  es: ['el', 'la', 'los', 'las', 'del', 'y', 'en', 'un', 'una', 'es', 'lo', 'por', 'con', 'para', 'su', 'sus', 'al', 'pero', 'más', 'este', 'esta', 'está', 'son', 'también', 'muy', 'hay', 'cuando', 'sobre', 'entre', 'sin', 'donde', 'desde', 'fue'],
+  en: ['the', 'of', 'and', 'to', 'in', 'is', 'that', 'for', 'it', 'was', 'with', 'be', 'by', 'on', 'not', 'this', 'are', 'or', 'from', 'at', 'which', 'but', 'have', 'an', 'they', 'were', 'has', 'their', 'would', 'when', 'can', 'also', 'these'],
+  pt: ['o', 'os', 'do', 'da', 'dos', 'das', 'em', 'um', 'uma', 'é', 'não', 'ao', 'no', 'na', 'nos', 'nas', 'pelo', 'pela', 'mais', 'mas', 'com', 'seu', 'sua', 'também', 'são', 'está', 'foi', 'quando', 'muito', 'há', 'isso', 'entre', 'sem', 'onde', 'desde']
+};
+const SAMPLE_CHARS = 10000;
+// Palabras reconocidas necesarias para dar un resultado
+const MIN_MARKER_HITS = 10;
+// El idioma ganador debe superar al segundo por este factor
+const MIN_MARGIN = 1.2;
+
+// Palabras de cada idioma que no aparecen en la lista de ningún otro
+const DISTINCTIVE_MARKERS = Object.fromEntries(Object.entries(LANGUAGE_MARKERS).map(([language, words]) => {
+  const others = new Set(Object.entries(LANGUAGE_MARKERS).filter(([other]) => other !== language).flatMap(([, list]) => list));
+  return [language, new Set(words.filter(word => !others.has(word)))];
+}));
+
+const SUPPORTED_LANGUAGES = Object.keys(LANGUAGE_MARKERS);
+
+const sampleText = (text) => {
+  const value = String(text || '');
+  if (value.length <= SAMPLE_CHARS * 2) {
+    return value;
+  }
+  const middle = Math.floor(value.length / 2);
+  return `${value.slice(0, SAMPLE_CHARS)} ${value.slice(middle, middle + SAMPLE_CHARS)}`;
+};
+
+// Devuelve el código del idioma ('es', 'en', 'pt') o null si no se puede determinar
+function detectLanguage(text) {
+  const words = sampleText(text).toLowerCase().match(/\p{L}+/gu) || [];
+  const scores = Object.fromEntries(SUPPORTED_LANGUAGES.map(language => [language, 0]));
+  words.forEach(word => {
+    SUPPORTED_LANGUAGES.forEach(language => {
+      if (DISTINCTIVE_MARKERS[language].has(word)) {
+        scores[language]++;
+      }
+    });
+  });
+
+  const [best, second] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  if (best[1] < MIN_MARKER_HITS || best[1] < second[1] * MIN_MARGIN) {
+    return null;
+  }
+  return best[0];
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  detectLanguage
+};
@@ -0,0 +1,543 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { loadModelRegistry } = require('./models');
+const { createCircuitBreaker } = require('./circuitBreaker');
+const { recordUsage } = require('./usage');
+
+// ✅ Capa de proveedores de modelos de lenguaje
+// Todas las pills, resúmenes y chats generan texto con generateText/streamText, sin saber qué
+// proveedor hay detrás. El proveedor se elige con LLM_PROVIDER:
+//   - 'gemini' (por defecto): Google Gemini, requiere GEMINI_API_KEY
+//   - 'openai': cualquier API compatible con OpenAI (Ollama, llama.cpp, vLLM...), con
+//     OPENAI_BASE_URL, OPENAI_API_KEY (opcional) y OPENAI_MODEL
+//   - 'mock': respuestas deterministas sin red, para desarrollo y pruebas locales
+// Cada proveedor implementa:
+//   { name, isAvailable(), generate(prompt, options), stream(prompt, onText, options) }
+// generate devuelve { text, usage } y stream devuelve usage, con usage = { promptTokens, outputTokens }
+// (null si el proveedor no lo informa; entonces se estima a partir del largo del texto).
+// Qué modelo usar (por tarea, allowlist, fallback y timeouts) lo decide el registro de modelos.
+// options: { maxTokens, model, task, responseSchema, signal, idleTimeoutMs }
+// responseSchema (opcional) pide una respuesta JSON con ese esquema al proveedor que lo soporte
+// signal es un AbortSignal: al abortarse el proveedor debe cancelar la petición en curso
+// Los errores HTTP del proveedor llevan error.status para decidir si se reintentan.
+
+// Reintentos de errores transitorios (429 y 5xx) con backoff exponencial y jitter
+const LLM_MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES || '2', 10);
+const LLM_RETRY_BASE_MS = parseInt(process.env.LLM_RETRY_BASE_MS || '500', 10);
+const LLM_RETRY_MAX_DELAY_MS = parseInt(process.env.LLM_RETRY_MAX_DELAY_MS || '8000', 10);
+const RETRYABLE_STATUS = [429, 500, 502, 503, 504];
+// Circuit breaker: fallos seguidos antes de abrir el circuito y tiempo que permanece abierto
+const LLM_BREAKER_THRESHOLD = parseInt(process.env.LLM_BREAKER_THRESHOLD || '5', 10);
+const LLM_BREAKER_COOLDOWN_MS = parseInt(process.env.LLM_BREAKER_COOLDOWN_MS || '30000', 10);
+
+const timeoutError = (message) => Object.assign(new Error(message), { code: 'TIMEOUT' });
+const abortError = () => Object.assign(new Error('Generación cancelada: el cliente cerró la conexión'), { code: 'ABORTED' });
+
+// Esperar una promesa con límite de tiempo
+function withTimeout(promise, timeoutMs, message) {
+  let timer;
+  const timeoutPromise = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(timeoutError(message)), timeoutMs);
+  });
+  return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+}
+
+// Ejecutar una llamada al proveedor con su propio AbortController: se cancela al vencer
+// timeoutMs (opcional) o al abortarse la señal del llamador, y se aborta siempre al terminar
+// para no dejar la petición corriendo en segundo plano
+async function runAbortable(fn, { signal, timeoutMs, timeoutMessage }) {
+  if (signal && signal.aborted) {
+    throw abortError();
+  }
+  const controller = new AbortController();
+  let timer;
+  let onAbort;
+  const cancelled = new Promise((_, reject) => {
+    onAbort = () => {
+      reject(abortError());
+      controller.abort();
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    if (timeoutMs) {
+      timer = setTimeout(() => {
+        reject(timeoutError(timeoutMessage));
+        controller.abort();
+      }, timeoutMs);
+    }
+  });
+  try {
+    return await Promise.race([fn(controller.signal), cancelled]);
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+    controller.abort();
+  }
+}
+
+// Pausa entre reintentos que se interrumpe si el llamador aborta
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(abortError());
+  };
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+// Backoff exponencial con jitter completo; respeta Retry-After si el proveedor lo envió
+const getRetryDelay = (retry, error) => {
+  const backoff = Math.min(LLM_RETRY_MAX_DELAY_MS, LLM_RETRY_BASE_MS * 2 ** retry);
+  const jittered = Math.round(Math.random() * backoff);
+  return Math.min(LLM_RETRY_MAX_DELAY_MS, Math.max(jittered, error.retryAfterMs || 0));
+};
+
+// Estimación de tokens cuando el proveedor no informa el uso (~4 caracteres por token)
+const estimateUsage = (prompt, text) => ({
+  promptTokens: Math.ceil(prompt.length / 4),
+  outputTokens: Math.ceil(String(text || '').length / 4)
+});
+
+const isRetryable = (error) => RETRYABLE_STATUS.includes(error.status);
+
+// Errores que indican que el proveedor no está respondiendo bien (cuentan para el circuito);
+// un 400 o un 404 significan que el proveedor responde, aunque rechace la petición
+const isProviderFailure = (error) => error.code === 'TIMEOUT' || !error.status || isRetryable(error);
+
+// Leer un stream fragmento a fragmento, con timeout entre fragmentos
+async function consumeStream(iterable, onChunk, { idleTimeoutMs, shouldStop }) {
+  const iterator = iterable[Symbol.asyncIterator]();
+  while (!shouldStop()) {
+    const { value, done } = await withTimeout(iterator.next(), idleTimeoutMs, 'Timeout: el modelo dejó de enviar la respuesta');
+    if (done) break;
+    onChunk(value);
+  }
+}
+
+// Gemini acepta un subconjunto de JSON Schema: quitar las restricciones que no soporta
+const toGeminiSchema = (schema) => {
+  const { minLength, ...rest } = schema;
+  if (rest.items) rest.items = toGeminiSchema(rest.items);
+  if (rest.properties) {
+    rest.properties = Object.fromEntries(Object.entries(rest.properties).map(([key, value]) => [key, toGeminiSchema(value)]));
+  }
+  return rest;
+};
+
+// --- Gemini ---------------------------------------------------------------
+function createGeminiProvider() {
+  const apiKey = process.env.GEMINI_API_KEY;
+  let client = null;
+  if (!apiKey) {
+    console.warn('⚠️ GEMINI_API_KEY no está configurada en las variables de entorno');
+  } else {
+    try {
+      client = new GoogleGenerativeAI(apiKey);
+      console.log('✅ Gemini Pro configurado correctamente');
+    } catch (error) {
+      console.error('⚠️ Error al configurar Gemini Pro:', error.message);
+    }
+  }
+
+  // maxTokens no se envía a Gemini: en los modelos 2.5 el razonamiento interno consume
+  // el mismo límite y respuestas cortas podrían quedar vacías
+  // Con responseSchema se usa el modo JSON de Gemini
+  // Los tokens del razonamiento interno se cobran como salida
+  const toUsage = (metadata) => (metadata
+    ? { promptTokens: metadata.promptTokenCount || 0, outputTokens: (metadata.candidatesTokenCount || 0) + (metadata.thoughtsTokenCount || 0) }
+    : null);
+
+  // Los errores HTTP del SDK ya traen error.status
+  const generateOnce = async (modelName, prompt, responseSchema, signal) => {
+    const generationConfig = responseSchema
+      ? { responseMimeType: 'application/json', responseSchema: toGeminiSchema(responseSchema) }
+      : undefined;
+    const model = client.getGenerativeModel({ model: modelName, generationConfig });
+    const result = await model.generateContent(prompt, { signal });
+    const response = await result.response;
+    return { text: response.text(), usage: toUsage(response.usageMetadata) };
+  };
+
+  return {
+    name: 'gemini',
+    isAvailable: () => client !== null,
+
+    async generate(prompt, { model, responseSchema, signal }) {
+      return generateOnce(model, prompt, responseSchema, signal);
+    },
+
+    async stream(prompt, onText, { model, idleTimeoutMs, signal }) {
+      const generativeModel = client.getGenerativeModel({ model });
+      const result = await generativeModel.generateContentStream(prompt, { signal });
+      await consumeStream(result.stream, chunk => {
+        const text = chunk.text();
+        if (text) onText(text);
+      }, { idleTimeoutMs, shouldStop: () => signal.aborted });
+      if (signal.aborted) {
+        return null;
+      }
+      const response = await result.response;
+      return toUsage(response.usageMetadata);
+    }
+  };
+}
+
+// --- API compatible con OpenAI (Ollama, llama.cpp, vLLM...) ---------------
+function createOpenAICompatibleProvider() {
+  const baseUrl = (process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+  const apiKey = process.env.OPENAI_API_KEY || '';
+  console.log(`✅ Proveedor compatible con OpenAI configurado: ${baseUrl}`);
+
+  const request = async (body, signal) => {
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body: JSON.stringify(body),
+      signal
+    });
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      const retryAfter = parseInt(response.headers.get('retry-after') || '', 10);
+      throw Object.assign(new Error(`El proveedor respondió ${response.status}: ${detail.slice(0, 200)}`), {
+        status: response.status,
+        retryAfterMs: Number.isNaN(retryAfter) ? undefined : retryAfter * 1000
+      });
+    }
+    return response;
+  };
+
+  return {
+    name: 'openai',
+    isAvailable: () => true,
+
+    async generate(prompt, { maxTokens, model, responseSchema, signal }) {
+      const response = await request({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        max_tokens: maxTokens,
+        ...(responseSchema
+          ? { response_format: { type: 'json_schema', json_schema: { name: 'respuesta', schema: responseSchema } } }
+          : {})
+      }, signal);
+      const data = await response.json();
+      return {
+        text: (data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content) || '',
+        usage: data.usage ? { promptTokens: data.usage.prompt_tokens || 0, outputTokens: data.usage.completion_tokens || 0 } : null
+      };
+    },
+
+    // Respuesta en Server-Sent Events: líneas "data: {json}" terminadas en "data: [DONE]"
+    // Con include_usage el último evento trae el uso de tokens
+    async stream(prompt, onText, { maxTokens, model, idleTimeoutMs, signal }) {
+      const response = await request({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        max_tokens: maxTokens,
+        stream: true,
+        stream_options: { include_usage: true }
+      }, signal);
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let finished = false;
+      let usage = null;
+      await consumeStream(response.body, bytes => {
+        buffer += decoder.decode(bytes, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(line => {
+          const data = line.replace(/^data:\s*/, '').trim();
+          if (!line.startsWith('data:') || !data) return;
+          if (data === '[DONE]') {
+            finished = true;
+            return;
+          }
+          const event = JSON.parse(data);
+          const delta = event.choices?.[0]?.delta?.content;
+          if (delta) onText(delta);
+          if (event.usage) {
+            usage = { promptTokens: event.usage.prompt_tokens || 0, outputTokens: event.usage.completion_tokens || 0 };
+          }
+        });
+      }, { idleTimeoutMs, shouldStop: () => finished || signal.aborted });
+      return usage;
+    }
+  };
+}
+
+// --- Mock determinista -----------------------------------------------------
+// Construye respuestas a partir del propio prompt (mismo prompt = misma respuesta), con el
+// formato que espera cada tarea, para probar los endpoints sin red ni claves
+// Los marcadores cubren las plantillas de todos los idiomas (prompts.js)
+const MOCK_CONTENT_MARKERS = [
+  '\nDocumento completo:\n', '\nDocumento:\n', '\nFragmento:\n', '\nConversación:\n',
+  '\nFull document:\n', '\nDocument:\n', '\nExcerpt:\n', '\nConversation:\n', '\nTrecho:\n', '\nConversa:\n'
+];
+
+const mockContent = (prompt) => {
+  const positions = MOCK_CONTENT_MARKERS
+    .map(marker => ({ marker, index: prompt.lastIndexOf(marker) }))
+    .filter(p => p.index >= 0)
+    .sort((a, b) => b.index - a.index);
+  return positions.length > 0 ? prompt.slice(positions[0].index + positions[0].marker.length) : prompt;
+};
+
+const mockSentences = (text) => String(text)
+  .replace(/\s+/g, ' ')
+  .split(/(?<=[.!?])\s+/)
+  .map(s => s.trim())
+  .filter(s => s.length > 20);
+
+const MOCK_RESPONDERS = {
+  flashcards: (prompt) => {
+    const count = parseInt((prompt.match(/(?:Genera|Generate|Gere) (\d+) flashcards/) || [])[1] || '5', 10);
+    return JSON.stringify(mockSentences(mockContent(prompt)).slice(0, count).map((sentence, i) => ({
+      title: `Pregunta ${i + 1}: ¿Qué afirma el documento sobre "${sentence.split(' ').slice(0, 4).join(' ')}"?`,
+      description: sentence
+    })));
+  },
+
+  concepts: (prompt) => {
+    const count = parseInt((prompt.match(/(?:Extrae los|Extract the|Extraia os) (\d+) (?:conceptos|most|conceitos)/) || [])[1] || '5', 10);
+    return JSON.stringify(mockSentences(mockContent(prompt)).slice(0, count).map(sentence => ({
+      title: sentence.split(' ').slice(0, 3).join(' '),
+      description: sentence
+    })));
+  },
+
+  // Cita el comienzo del primer pasaje numerado del prompt
+  chat: (prompt) => {
+    const passage = prompt.match(/\n\[1\] \([^)]*\)\n([^\n]+)/);
+    if (!passage) {
+      return 'Respuesta simulada: los pasajes no contienen información sobre la pregunta.\n\nCITAS:\n[]';
+    }
+    const quote = passage[1].trim().split(/\s+/).slice(0, 8).join(' ');
+    return `Respuesta simulada basada en el documento: ${quote} [1].\n\nCITAS:\n${JSON.stringify([{ passage: 1, quote }])}`;
+  },
+
+  compare: (prompt) => {
+    const documents = Array.from(prompt.matchAll(/=== Documento (\S+): "[^"]*"[^\n]*===\n([^\n]*)/g));
+    return JSON.stringify({
+      documents: documents.map(([, documentId, content]) => ({
+        documentId,
+        points: mockSentences(content).slice(0, 3)
+      })),
+      items: [],
+      synthesis: `Síntesis simulada de ${documents.length} documentos.`
+    });
+  }
+};
+
+// MOCK_LLM_DELAY_MS simula la latencia de cada llamada y MOCK_LLM_ERROR_STATUS hace que todas
+// fallen con ese código HTTP, para probar timeouts, cancelación, reintentos y el circuit breaker
+function createMockProvider() {
+  console.log('🧪 Proveedor de modelos simulado (LLM_PROVIDER=mock): las respuestas son deterministas y no usan red');
+  const delayMs = parseInt(process.env.MOCK_LLM_DELAY_MS || '0', 10);
+  const errorStatus = parseInt(process.env.MOCK_LLM_ERROR_STATUS || '0', 10);
+
+  const simulateCall = async (signal) => {
+    if (delayMs > 0) {
+      await sleep(delayMs, signal);
+    }
+    if (errorStatus) {
+      throw Object.assign(new Error(`Error simulado ${errorStatus}`), { status: errorStatus });
+    }
+  };
+
+  const respond = (prompt, task) => {
+    const responder = MOCK_RESPONDERS[task];
+    if (responder) {
+      return responder(prompt);
+    }
+    // Resúmenes y demás tareas de texto: primeras oraciones del contenido
+    const sentences = mockSentences(mockContent(prompt));
+    return `[Simulado] ${sentences.slice(0, 3).join(' ') || 'Sin contenido.'}`;
+  };
+
+  return {
+    name: 'mock',
+    isAvailable: () => true,
+
+    async generate(prompt, { task, signal }) {
+      await simulateCall(signal);
+      const text = respond(prompt, task);
+      return { text, usage: estimateUsage(prompt, text) };
+    },
+
+    async stream(prompt, onText, { task, signal }) {
+      await simulateCall(signal);
+      const text = respond(prompt, task);
+      // Enviar en fragmentos para ejercitar el streaming
+      for (let i = 0; i < text.length && !signal.aborted; i += 16) {
+        onText(text.slice(i, i + 16));
+      }
+      return estimateUsage(prompt, text);
+    }
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  gemini: createGeminiProvider,
+  openai: createOpenAICompatibleProvider,
+  mock: createMockProvider
+};
+
+const createProvider = () => {
+  const name = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+  if (!PROVIDER_FACTORIES[name]) {
+    console.warn(`⚠️ LLM_PROVIDER '${name}' no soportado, usando 'gemini'`);
+    return createGeminiProvider();
+  }
+  return PROVIDER_FACTORIES[name]();
+};
+
+const provider = createProvider();
+if (!provider.isAvailable()) {
+  console.log('ℹ️ Ningún modelo de lenguaje disponible. Las pills se generarán con lógica simple.');
+}
+const modelRegistry = loadModelRegistry(provider.name);
+const circuitBreaker = createCircuitBreaker({
+  name: provider.name,
+  failureThreshold: LLM_BREAKER_THRESHOLD,
+  cooldownMs: LLM_BREAKER_COOLDOWN_MS
+});
+
+function isLLMAvailable() {
+  return provider.isAvailable();
+}
+
+function getProviderName() {
+  return provider.name;
+}
+
+function getModelRegistry() {
+  return modelRegistry;
+}
+
+// Llamar a un modelo pasando por el circuit breaker y reintentando los errores transitorios
+// call(attemptSignal) hace una llamada completa; canRetry() permite vetar el reintento
+// (en streaming, cuando ya se envió texto al cliente)
+async function callWithRetries(modelName, call, { signal, canRetry = () => true }) {
+  for (let retry = 0; ; retry++) {
+    if (!circuitBreaker.canRequest()) {
+      throw Object.assign(new Error(`El proveedor ${provider.name} no está disponible temporalmente`), { code: 'CIRCUIT_OPEN' });
+    }
+    try {
+      const result = await call();
+      circuitBreaker.onSuccess();
+      return result;
+    } catch (error) {
+      if (error.code === 'ABORTED') {
+        circuitBreaker.onCancel();
+        throw error;
+      }
+      if (isProviderFailure(error)) {
+        circuitBreaker.onFailure();
+      } else {
+        circuitBreaker.onSuccess();
+      }
+      if (!isRetryable(error) || retry >= LLM_MAX_RETRIES || !canRetry()) {
+        throw error;
+      }
+      const delay = getRetryDelay(retry, error);
+      console.warn(`⚠️ ${modelName} respondió ${error.status}; reintento ${retry + 1}/${LLM_MAX_RETRIES} en ${delay}ms`);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+// Generar texto con el proveedor configurado
+// model (opcional, ya validado contra el registro) o el modelo por defecto de la tarea; si falla
+// se prueba con los siguientes de la cadena de fallback. timeoutMs (opcional) reemplaza al del modelo.
+// signal (opcional) cancela la generación, p. ej. cuando el cliente se desconecta.
+// usageContext ({ userId, documentId, endpoint }) se guarda con el uso de tokens de cada llamada.
+// Devuelve null si no hay proveedor disponible, si se canceló, si el circuito está abierto o si
+// todos los modelos fallan o exceden el timeout, para que cada endpoint use su fallback
+async function generateText(prompt, { maxTokens = 2000, timeoutMs, model, task, responseSchema, signal, usageContext } = {}) {
+  if (!provider.isAvailable()) {
+    return null;
+  }
+
+  const attemptOrder = modelRegistry.getAttemptOrder(model || modelRegistry.getDefaultModel(task));
+  for (const modelName of attemptOrder) {
+    const modelTimeout = timeoutMs || modelRegistry.getTimeout(modelName);
+    try {
+      console.log(`🔄 Iniciando generación con ${provider.name} (modelo: ${modelName}, timeout: ${modelTimeout}ms)...`);
+      const startTime = Date.now();
+      const { text, usage } = await callWithRetries(modelName, () => runAbortable(
+        attemptSignal => provider.generate(prompt, { maxTokens, model: modelName, task, responseSchema, signal: attemptSignal }),
+        { signal, timeoutMs: modelTimeout, timeoutMessage: `Timeout: La generación con ${modelName} tardó demasiado` }
+      ), { signal });
+      console.log(`✅ ${provider.name} (${modelName}) respondió en ${Date.now() - startTime}ms`);
+      recordUsage({ type: 'llm', feature: task, provider: provider.name, model: modelName, ...(usage || estimateUsage(prompt, text)) }, usageContext);
+      return text;
+    } catch (error) {
+      if (error.code === 'ABORTED' || error.code === 'CIRCUIT_OPEN') {
+        // Cancelado por el llamador o proveedor caído: los demás modelos tampoco sirven
+        console.log(`ℹ️ ${error.message}`);
+        return null;
+      }
+      if (error.code === 'TIMEOUT') {
+        console.error(`⏱️ Timeout de ${modelName} después de ${modelTimeout}ms`);
+      } else {
+        console.error(`Error al generar con ${modelName}:`, error.message);
+      }
+    }
+  }
+  return null;
+}
+
+// Generación en streaming: llama a onText con cada fragmento de texto a medida que llega
+// Devuelve { text, model } con el texto completo y el modelo que respondió. A diferencia de
+// generateText, los errores se propagan (el llamador ya pudo haber enviado parte de la respuesta),
+// incluida la cancelación por signal (error.code === 'ABORTED').
+// Solo se reintenta o se pasa al siguiente modelo de la cadena si todavía no se envió texto.
+// El timeout del modelo se aplica entre fragmentos. usageContext como en generateText.
+async function streamText(prompt, onText, { maxTokens = 2000, model, task, signal, usageContext } = {}) {
+  if (!provider.isAvailable()) {
+    throw new Error('No hay un modelo de lenguaje configurado');
+  }
+
+  const attemptOrder = modelRegistry.getAttemptOrder(model || modelRegistry.getDefaultModel(task));
+  let fullText = '';
+  for (const [index, modelName] of attemptOrder.entries()) {
+    console.log(`🔄 Iniciando streaming con ${provider.name} (modelo: ${modelName})...`);
+    const startTime = Date.now();
+    try {
+      const usage = await callWithRetries(modelName, () => runAbortable(
+        attemptSignal => provider.stream(prompt, (text) => {
+          fullText += text;
+          onText(text);
+        }, { maxTokens, model: modelName, task, idleTimeoutMs: modelRegistry.getTimeout(modelName), signal: attemptSignal }),
+        { signal }
+      ), { signal, canRetry: () => fullText.length === 0 });
+      console.log(`✅ Streaming de ${provider.name} (${modelName}) completado en ${Date.now() - startTime}ms`);
+      recordUsage({ type: 'llm', feature: task, provider: provider.name, model: modelName, ...(usage || estimateUsage(prompt, fullText)) }, usageContext);
+      return { text: fullText, model: modelName };
+    } catch (error) {
+      // El texto que alcanzó a generarse también se cobra
+      if (fullText.length > 0) {
+        recordUsage({ type: 'llm', feature: task, provider: provider.name, model: modelName, ...estimateUsage(prompt, fullText) }, usageContext);
+      }
+      if (error.code === 'ABORTED') {
+        throw error;
+      }
+      console.error(`Error en streaming con ${modelName}:`, error.message);
+      const isLastAttempt = index === attemptOrder.length - 1;
+      if (fullText.length > 0 || isLastAttempt || error.code === 'CIRCUIT_OPEN') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = {
+  isLLMAvailable,
+  getProviderName,
+  getModelRegistry,
+  generateText,
+  streamText
+};
@@ -0,0 +1,119 @@
+const fs = require('fs');
+
+// ✅ Registro de modelos
+// Define qué modelos puede elegir el cliente (allowlist), el modelo por defecto de cada tarea,
+// la cadena de fallback (en orden) y el timeout de cada modelo. Cada proveedor trae un registro
+// por defecto; MODEL_REGISTRY_PATH apunta a un JSON con la misma forma para reemplazarlo:
+// {
+//   "models": [{ "id": "gemini-2.5-flash", "label": "Gemini 2.5 Flash", "timeoutMs": 60000 }],
+//   "defaults": { "default": "gemini-2.5-flash", "summary": "...", "flashcards": "...", "chat": "..." },
+//   "fallbackChain": ["gemini-2.5-flash", "gemini-2.5-flash-lite"]
+// }
+// Las tareas sin default propio (micro-summary, concepts, compare...) usan defaults.default.
+const DEFAULT_MODEL_TIMEOUT_MS = 30000;
+
+const splitList = (value) => String(value || '').split(',').map(v => v.trim()).filter(Boolean);
+
+const DEFAULT_REGISTRIES = {
+  gemini: () => ({
+    models: [
+      { id: 'gemini-2.5-flash', label: 'Gemini 2.5 Flash', timeoutMs: 60000 },
+      { id: 'gemini-2.5-flash-lite', label: 'Gemini 2.5 Flash-Lite', timeoutMs: 30000 },
+      { id: 'gemini-2.5-pro', label: 'Gemini 2.5 Pro', timeoutMs: 120000 }
+    ],
+    defaults: {
+      default: 'gemini-2.5-flash',
+      summary: 'gemini-2.5-flash',
+      flashcards: 'gemini-2.5-flash',
+      chat: 'gemini-2.5-flash'
+    },
+    fallbackChain: ['gemini-2.5-flash', 'gemini-2.5-flash-lite']
+  }),
+
+  // Modelos locales: los de OPENAI_MODELS (o solo OPENAI_MODEL), con timeouts amplios
+  openai: () => {
+    const ids = splitList(process.env.OPENAI_MODELS).length > 0
+      ? splitList(process.env.OPENAI_MODELS)
+      : [process.env.OPENAI_MODEL || 'llama3.1'];
+    return {
+      models: ids.map(id => ({ id, label: id, timeoutMs: 120000 })),
+      defaults: { default: ids[0], summary: ids[0], flashcards: ids[0], chat: ids[0] },
+      fallbackChain: ids
+    };
+  },
+
+  mock: () => ({
+    models: [{ id: 'mock', label: 'Modelo simulado', timeoutMs: 5000 }],
+    defaults: { default: 'mock', summary: 'mock', flashcards: 'mock', chat: 'mock' },
+    fallbackChain: ['mock']
+  })
+};
+
+// Descartar referencias a modelos que no están en la lista
+function sanitizeRegistry(registry) {
+  const models = (registry.models || [])
+    .filter(model => model && model.id)
+    .map(model => ({ id: model.id, label: model.label || model.id, timeoutMs: model.timeoutMs || DEFAULT_MODEL_TIMEOUT_MS }));
+  const ids = models.map(model => model.id);
+  if (ids.length === 0) {
+    throw new Error('El registro de modelos no tiene modelos');
+  }
+
+  const defaults = {};
+  Object.entries(registry.defaults || {}).forEach(([task, modelId]) => {
+    if (ids.includes(modelId)) {
+      defaults[task] = modelId;
+    } else {
+      console.warn(`⚠️ Modelo por defecto desconocido para '${task}' ignorado: ${modelId}`);
+    }
+  });
+  if (!defaults.default) {
+    defaults.default = ids[0];
+  }
+
+  const fallbackChain = (registry.fallbackChain || []).filter(modelId => {
+    if (!ids.includes(modelId)) {
+      console.warn(`⚠️ Modelo desconocido en la cadena de fallback ignorado: ${modelId}`);
+      return false;
+    }
+    return true;
+  });
+
+  return { models, defaults, fallbackChain };
+}
+
+// Cargar el registro del proveedor (o el del archivo de configuración)
+function loadModelRegistry(providerName) {
+  let registry = (DEFAULT_REGISTRIES[providerName] || DEFAULT_REGISTRIES.gemini)();
+  const configPath = process.env.MODEL_REGISTRY_PATH;
+  if (configPath) {
+    try {
+      registry = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      console.log(`✅ Registro de modelos cargado desde ${configPath}`);
+    } catch (error) {
+      console.error(`⚠️ No se pudo leer MODEL_REGISTRY_PATH (${configPath}), usando el registro por defecto:`, error.message);
+    }
+  }
+  const { models, defaults, fallbackChain } = sanitizeRegistry(registry);
+
+  const findModel = (modelId) => models.find(model => model.id === modelId) || null;
+
+  return {
+    models,
+    defaults,
+    fallbackChain,
+
+    isAllowed: (modelId) => findModel(modelId) !== null,
+
+    getDefaultModel: (task) => defaults[task] || defaults.default,
+
+    getTimeout: (modelId) => (findModel(modelId) || {}).timeoutMs || DEFAULT_MODEL_TIMEOUT_MS,
+
+    // Modelos a intentar, en orden: el pedido y luego el resto de la cadena de fallback
+    getAttemptOrder: (modelId) => [modelId, ...fallbackChain.filter(id => id !== modelId)]
+  };
+}
+
+module.exports = {
+  loadModelRegistry
+};
@@ -0,0 +1,140 @@
+// ✅ Pipeline de limpieza del texto extraído
+// Quita artefactos de la extracción antes de usar el texto en prompts y TTS:
+// encabezados/pies de página repetidos, números de página, palabras cortadas con guion
+// al final de línea, ligaduras tipográficas y espacios sobrantes.
+// Los pasos se configuran con TEXT_NORMALIZATION_STEPS (lista separada por comas,
+// 'none' para desactivar). Por defecto se aplican todos, en el orden de NORMALIZATION_STEPS.
+
+const LIGATURES = {
+  '\uFB00': 'ff', '\uFB01': 'fi', '\uFB02': 'fl', '\uFB03': 'ffi', '\uFB04': 'ffl', '\uFB05': 'st', '\uFB06': 'st'
+};
+const LIGATURE_REGEX = /[\uFB00-\uFB06]/g;
+
+// Caracteres invisibles que rompen palabras (guion suave, espacios de ancho cero, BOM)
+const INVISIBLE_REGEX = /[\u00AD\u200B-\u200D\u2060\uFEFF]/g;
+
+// Líneas que son solo un número de página: "12", "- 12 -", "Página 3", "Page 3 of 10", "3 / 10"
+const PAGE_NUMBER_REGEX = /^\s*(?:[-–—]\s*)?(?:(?:p[áa]gina|page|p[áa]g\.?|p\.)\s*)?\d{1,4}(?:\s*(?:de|of|\/)\s*\d{1,4})?(?:\s*[-–—])?\s*$/i;
+
+// Cuántas líneas del principio/fin de cada página se revisan como encabezado/pie
+const HEADER_FOOTER_LINES = 2;
+// Fracción mínima de páginas en que debe repetirse una línea para considerarla encabezado/pie
+const HEADER_FOOTER_MIN_RATIO = 0.5;
+const HEADER_FOOTER_MIN_PAGES = 3;
+
+// Clave para comparar encabezados: ignora números (los de página cambian en cada una)
+const headerKey = (line) => line.trim().toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ');
+
+function fixLigatures(text) {
+  return text.replace(LIGATURE_REGEX, (ch) => LIGATURES[ch]).replace(INVISIBLE_REGEX, '');
+}
+
+// "fotosín-\ntesis" -> "fotosíntesis" (solo si la siguiente palabra empieza en minúscula)
+function joinHyphenatedWords(text) {
+  return text.replace(/(\p{L})[-\u2010]\s*\n\s*(\p{Ll})/gu, '$1$2');
+}
+
+function removePageNumbers(text) {
+  const lines = text.split('\n');
+  // Solo en los bordes de la página, para no borrar números que son contenido
+  const isEdge = (index) => index < HEADER_FOOTER_LINES || index >= lines.length - HEADER_FOOTER_LINES;
+  return lines.filter((line, index) => !(isEdge(index) && PAGE_NUMBER_REGEX.test(line))).join('\n');
+}
+
+function normalizeWhitespace(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\u00A0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Detectar líneas repetidas al principio o al final de muchas páginas
+function findRepeatedHeadersFooters(pageTexts) {
+  if (pageTexts.length < HEADER_FOOTER_MIN_PAGES) {
+    return new Set();
+  }
+  const counts = new Map();
+  pageTexts.forEach(pageText => {
+    const lines = pageText.split('\n').map(l => l.trim()).filter(Boolean);
+    const edges = new Set([
+      ...lines.slice(0, HEADER_FOOTER_LINES),
+      ...lines.slice(-HEADER_FOOTER_LINES)
+    ].map(headerKey));
+    edges.forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+  });
+  const minPages = Math.max(HEADER_FOOTER_MIN_PAGES, Math.ceil(pageTexts.length * HEADER_FOOTER_MIN_RATIO));
+  return new Set(
+    Array.from(counts.entries())
+      .filter(([key, count]) => count >= minPages && key.replace(/[#\s]/g, '').length > 0)
+      .map(([key]) => key)
+  );
+}
+
+function removeHeadersFooters(pageTexts) {
+  const repeated = findRepeatedHeadersFooters(pageTexts);
+  if (repeated.size === 0) {
+    return pageTexts;
+  }
+  return pageTexts.map(pageText => {
+    const lines = pageText.split('\n');
+    const nonEmpty = lines.map((l, i) => (l.trim() ? i : -1)).filter(i => i >= 0);
+    const edgeIndexes = new Set([
+      ...nonEmpty.slice(0, HEADER_FOOTER_LINES),
+      ...nonEmpty.slice(-HEADER_FOOTER_LINES)
+    ]);
+    return lines.filter((line, i) => !(edgeIndexes.has(i) && repeated.has(headerKey(line)))).join('\n');
+  });
+}
+
+// Pasos disponibles. scope 'document' necesita ver todas las páginas a la vez.
+const NORMALIZATION_STEPS = [
+  { name: 'ligatures', scope: 'page', apply: fixLigatures },
+  { name: 'headersFooters', scope: 'document', apply: removeHeadersFooters },
+  { name: 'pageNumbers', scope: 'page', apply: removePageNumbers },
+  { name: 'hyphenation', scope: 'page', apply: joinHyphenatedWords },
+  { name: 'whitespace', scope: 'page', apply: normalizeWhitespace }
+];
+
+const parseEnabledSteps = (value) => {
+  if (!value) {
+    return NORMALIZATION_STEPS.map(step => step.name);
+  }
+  if (value.trim().toLowerCase() === 'none') {
+    return [];
+  }
+  const requested = value.split(',').map(v => v.trim()).filter(Boolean);
+  const unknown = requested.filter(name => !NORMALIZATION_STEPS.some(step => step.name === name));
+  if (unknown.length > 0) {
+    console.warn(`⚠️ Pasos de normalización desconocidos ignorados: ${unknown.join(', ')}`);
+  }
+  return requested;
+};
+
+const ENABLED_STEPS = parseEnabledSteps(process.env.TEXT_NORMALIZATION_STEPS);
+
+// Limpiar el texto de todas las páginas de un documento (conserva la cantidad de páginas)
+function normalizePages(pageTexts, steps = ENABLED_STEPS) {
+  let pages = pageTexts.map(p => p || '');
+  NORMALIZATION_STEPS
+    .filter(step => steps.includes(step.name))
+    .forEach(step => {
+      pages = step.scope === 'document' ? step.apply(pages) : pages.map(step.apply);
+    });
+  return pages;
+}
+
+// Limpiar un texto suelto, por ejemplo el que llega a TTS: sin pasos que dependan de
+// los bordes de página (un fragmento puede empezar o terminar con un número legítimo)
+function normalizeText(text, steps = ENABLED_STEPS) {
+  const textSteps = steps.filter(name => name !== 'headersFooters' && name !== 'pageNumbers');
+  return normalizePages([String(text || '')], textSteps)[0];
+}
+
+module.exports = {
+  NORMALIZATION_STEPS,
+  ENABLED_STEPS,
+  normalizePages,
+  normalizeText
+};
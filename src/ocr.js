@@ -0,0 +1,80 @@
+const path = require('path');
+const { DATA_DIR } = require('./storage');
+
+// ✅ Configuración de OCR (tesseract.js) para PDFs escaneados
+// Idiomas en formato tesseract (spa+eng). Los datos de idioma se descargan la primera vez
+// y se cachean en data/tessdata; con TESSDATA_PATH se puede apuntar a una copia local.
+const OCR_ENABLED = process.env.OCR_ENABLED !== 'false';
+const OCR_LANGUAGES = process.env.OCR_LANGUAGES || 'spa+eng';
+// Una página con menos caracteres que esto se considera solo imagen
+const OCR_MIN_PAGE_CHARS = parseInt(process.env.OCR_MIN_PAGE_CHARS || '20', 10);
+// Escala de renderizado de la página (más escala = mejor OCR, más memoria)
+const OCR_RENDER_SCALE = parseFloat(process.env.OCR_RENDER_SCALE || '2');
+
+// Detectar qué páginas (1-based) no tienen texto extraíble
+function findImageOnlyPages(pageTexts) {
+  return pageTexts
+    .map((text, index) => ({ page: index + 1, length: (text || '').trim().length }))
+    .filter(p => p.length < OCR_MIN_PAGE_CHARS)
+    .map(p => p.page);
+}
+
+// Renderizar las páginas indicadas del PDF y reconocer su texto
+// Devuelve [{ page, text, confidence }] con la confianza media de tesseract (0-100)
+// onPageDone(done, total) es opcional y se llama tras cada página
+async function ocrPdfPages(buffer, pageNumbers, onPageDone = () => {}) {
+  if (!OCR_ENABLED || pageNumbers.length === 0) {
+    return [];
+  }
+
+  // pdf-to-img es un módulo ESM
+  const { pdf } = await import('pdf-to-img');
+  const { createWorker } = require('tesseract.js');
+
+  console.log(`🔍 Ejecutando OCR (${OCR_LANGUAGES}) en ${pageNumbers.length} página(s) sin texto...`);
+  const startTime = Date.now();
+
+  const pdfDocument = await pdf(buffer, { scale: OCR_RENDER_SCALE });
+  const results = [];
+  let worker = null;
+  try {
+    // Dentro del try: si no se puede crear el worker (idioma que no se descarga, OCR_LANGUAGES
+    // inválido) el PDF igual se libera
+    worker = await createWorker(OCR_LANGUAGES, 1, {
+      langPath: process.env.TESSDATA_PATH || undefined,
+      cachePath: path.join(DATA_DIR, 'tessdata')
+    });
+
+    for (const pageNumber of pageNumbers) {
+      try {
+        const image = await pdfDocument.getPage(pageNumber);
+        const { data } = await worker.recognize(image);
+        results.push({
+          page: pageNumber,
+          text: (data.text || '').trim(),
+          confidence: Math.round(data.confidence * 100) / 100
+        });
+        console.log(`✅ OCR página ${pageNumber}: ${(data.text || '').trim().length} caracteres, confianza ${data.confidence}`);
+      } catch (pageError) {
+        console.error(`⚠️ Error de OCR en la página ${pageNumber}:`, pageError.message);
+        results.push({ page: pageNumber, text: '', confidence: 0, error: pageError.message });
+      }
+      onPageDone(results.length, pageNumbers.length);
+    }
+  } finally {
+    if (worker) {
+      await worker.terminate();
+    }
+    await pdfDocument.destroy();
+  }
+
+  console.log(`✅ OCR completado en ${Date.now() - startTime}ms`);
+  return results;
+}
+
+module.exports = {
+  OCR_ENABLED,
+  OCR_LANGUAGES,
+  findImageOnlyPages,
+  ocrPdfPages
+};
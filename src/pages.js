@@ -0,0 +1,90 @@
+// ✅ Acceso por páginas al texto de un documento
+// document.pageOffsets guarda el carácter donde empieza cada página dentro de document.text.
+// Los documentos sin offsets (sincronizados desde el frontend) se tratan como una sola página.
+
+// Separador entre páginas dentro de document.text
+const PAGE_SEPARATOR = '\n\n';
+
+// Unir el texto de las páginas y calcular dónde empieza cada una dentro del texto completo
+function joinPages(pageTexts) {
+  const pages = pageTexts.length > 0 ? pageTexts : [''];
+  const pageOffsets = [];
+  let offset = 0;
+  pages.forEach((pageText, index) => {
+    pageOffsets.push(offset);
+    offset += (pageText || '').length + (index < pages.length - 1 ? PAGE_SEPARATOR.length : 0);
+  });
+  return { text: pages.map(p => p || '').join(PAGE_SEPARATOR), pageOffsets };
+}
+
+function getPageOffsets(document) {
+  return Array.isArray(document.pageOffsets) && document.pageOffsets.length > 0
+    ? document.pageOffsets
+    : [0];
+}
+
+function getPageCount(document) {
+  return getPageOffsets(document).length;
+}
+
+// Rango de caracteres [start, end) de una página (1-based) dentro de document.text
+function getPageBounds(document, pageNumber) {
+  const offsets = getPageOffsets(document);
+  const text = document.text || '';
+  const start = offsets[pageNumber - 1];
+  const end = pageNumber < offsets.length
+    ? offsets[pageNumber] - PAGE_SEPARATOR.length
+    : text.length;
+  return { start, end };
+}
+
+function getPageText(document, pageNumber) {
+  const { start, end } = getPageBounds(document, pageNumber);
+  return (document.text || '').slice(start, end);
+}
+
+// Número de página (1-based) al que pertenece un offset de carácter
+function getPageForOffset(document, offset) {
+  const offsets = getPageOffsets(document);
+  let page = 1;
+  for (let i = 0; i < offsets.length && offsets[i] <= offset; i++) {
+    page = i + 1;
+  }
+  return page;
+}
+
+// Interpretar un rango de páginas: "12", "10-15" o "10-" (hasta el final)
+// Devuelve { start, end } (1-based, inclusivo), null si no se indicó, o { error }
+function parsePageRange(value, totalPages) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const match = String(value).trim().match(/^(\d+)(?:\s*-\s*(\d*))?$/);
+  if (!match) {
+    return { error: 'Rango de páginas inválido. Usa el formato "10" o "10-15".' };
+  }
+  const start = parseInt(match[1], 10);
+  const end = match[2] === undefined ? start : (match[2] === '' ? totalPages : parseInt(match[2], 10));
+  if (start < 1 || end < start || end > totalPages) {
+    return { error: `Rango de páginas fuera de límites. El documento tiene ${totalPages} página(s).` };
+  }
+  return { start, end };
+}
+
+// Texto de un rango de páginas (inclusivo) tal como aparece en document.text
+function getPageRangeText(document, range) {
+  const { start } = getPageBounds(document, range.start);
+  const { end } = getPageBounds(document, range.end);
+  return (document.text || '').slice(start, end);
+}
+
+module.exports = {
+  PAGE_SEPARATOR,
+  joinPages,
+  getPageCount,
+  getPageBounds,
+  getPageText,
+  getPageForOffset,
+  parsePageRange,
+  getPageRangeText
+};
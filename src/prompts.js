@@ -0,0 +1,565 @@
+const { CITATIONS_MARKER } = require('./citations');
+
+// ✅ Plantillas de prompts por idioma
+// Las pills, los resúmenes y el chat se piden en el idioma del documento (detectado al subirlo)
+// o en el que indique el cliente con outputLanguage. Cada idioma define las mismas plantillas;
+// los formatos que se parsean (JSON, marcador de citas) son idénticos en todos.
+const DEFAULT_LANGUAGE = 'es';
+
+// Descripción breve del alcance (sección o rango de páginas) para los prompts
+const describeScope = {
+  es: (scope) => {
+    if (!scope) return '';
+    return scope.type === 'section'
+      ? ` (sección "${scope.title}", página ${scope.page})`
+      : ` (páginas ${scope.start}-${scope.end})`;
+  },
+  en: (scope) => {
+    if (!scope) return '';
+    return scope.type === 'section'
+      ? ` (section "${scope.title}", page ${scope.page})`
+      : ` (pages ${scope.start}-${scope.end})`;
+  },
+  pt: (scope) => {
+    if (!scope) return '';
+    return scope.type === 'section'
+      ? ` (seção "${scope.title}", página ${scope.page})`
+      : ` (páginas ${scope.start}-${scope.end})`;
+  }
+};
+
+const PROMPT_TEMPLATES = {
+  es: {
+    pageLabel: 'página',
+    describeScope: describeScope.es,
+    documentContext: (filename, scope) => `el documento "${filename}"${describeScope.es(scope)}`,
+
+    citationInstructions: `- Después de cada afirmación indica entre corchetes el número del pasaje que la respalda, por ejemplo [2]
+- Al final de la respuesta escribe una línea con "${CITATIONS_MARKER}" seguida de un JSON array con una cita por afirmación:
+  [{"passage": 2, "quote": "frase copiada textualmente del pasaje"}]
+- Cada "quote" debe ser una frase corta copiada exactamente del pasaje, sin modificarla
+- Si los pasajes no respaldan la respuesta, escribe "${CITATIONS_MARKER}" seguido de []`,
+
+    microSummary: ({ text }) => `Genera un micro resumen conciso (máximo 200 palabras) del siguiente documento. El resumen debe ser claro, informativo y capturar los puntos principales.
+
+Documento completo:
+${text}`,
+
+    flashcards: ({ count, text }) => `Genera ${count} flashcards educativas basadas en el siguiente documento. Cada flashcard debe tener:
+1. Un título que sea una pregunta clara y concisa
+2. Una descripción que sea la respuesta detallada
+
+IMPORTANTE: Responde SOLO con un JSON array válido, sin texto adicional antes o después.
+
+Formato de respuesta (JSON array):
+[
+  {
+    "title": "Pregunta aquí",
+    "description": "Respuesta detallada aquí"
+  }
+]
+
+Documento completo:
+${text}`,
+
+    concepts: ({ count, text }) => `Extrae los ${count} conceptos más importantes del siguiente documento. Para cada concepto, proporciona:
+1. Un título corto y claro del concepto
+2. Una descripción breve que explique el concepto en el contexto del documento
+
+IMPORTANTE: Responde SOLO con un JSON array válido, sin texto adicional antes o después.
+
+Formato de respuesta (JSON array):
+[
+  {
+    "title": "Nombre del concepto",
+    "description": "Explicación del concepto en el contexto del documento"
+  }
+]
+
+Documento completo:
+${text}`,
+
+    // Pedido de corrección cuando la respuesta JSON no cumple el esquema (structuredOutput.js)
+    repair: ({ prompt, previousResponse, errors, schema }) => `${prompt}
+
+---
+Tu respuesta anterior no cumple el formato requerido.
+
+Respuesta anterior:
+${previousResponse}
+
+Errores encontrados:
+${errors}
+
+Responde nuevamente SOLO con un JSON válido, sin texto adicional, que cumpla este esquema:
+${schema}`,
+
+    // Errores de validación que se muestran en el pedido de corrección (structuredOutput.js)
+    schemaErrors: {
+      type: (path, expected, actual) => `${path}: se esperaba ${expected} y llegó ${actual}`,
+      empty: (path) => `${path}: el texto no puede estar vacío`,
+      minItems: (path, min, count) => `${path}: se esperaban al menos ${min} elementos y llegaron ${count}`,
+      maxItems: (path, max, count) => `${path}: se esperaban como máximo ${max} elementos y llegaron ${count}`,
+      required: (path) => `${path}: campo requerido`,
+      invalidJson: (detail) => `JSON inválido: ${detail}`,
+      noJson: (detail) => `La respuesta no contiene JSON: ${detail}`
+    },
+
+    // Título de las flashcards armadas sin modelo (fallback)
+    fallbackFlashcardTitle: (snippet) => `¿Qué información se menciona sobre: "${snippet}..."?`,
+
+    // Respuestas del chat cuando el modelo falla o no está configurado
+    chatFallback: {
+      modelError: (filename) => `Basándome en el documento "${filename}", puedo ayudarte. Sin embargo, hubo un problema al procesar tu pregunta con el modelo avanzado. Por favor, intenta reformular tu pregunta.`,
+      unavailable: (filename) => `Basándome en el documento "${filename}", puedo ayudarte. Sin embargo, el asistente avanzado no está disponible en este momento. Por favor, intenta más tarde.`
+    },
+
+    // Respuestas del chat de biblioteca sin modelo: qué documentos tratan el tema
+    // (los que coincidieron solo por el nombre del archivo no tienen páginas)
+    libraryChatFallback: {
+      noDocuments: 'Aún no tienes documentos procesados. Sube un documento y podré responder preguntas sobre su contenido.',
+      describeSource: (source) => source.pages.length > 0
+        ? `"${source.filename}" (página${source.pages.length > 1 ? 's' : ''} ${source.pages.join(', ')})`
+        : `"${source.filename}"`,
+      found: (sourceList) => `Encontré información relacionada en: ${sourceList}.`,
+      notFound: 'No encontré información sobre eso en tus documentos. Intenta con otras palabras o sube un documento que trate el tema.'
+    },
+
+    conversation: ({ summary, messages }) => {
+      let context = '';
+      if (summary) {
+        context += `\n\nResumen de la conversación anterior:\n${summary}\n`;
+      }
+      if (messages.length > 0) {
+        context += '\n\nHistorial de conversación:\n';
+        messages.forEach(msg => {
+          context += `${msg.role === 'user' ? 'Usuario' : 'Asistente'}: ${msg.content}\n`;
+        });
+      }
+      return context;
+    },
+
+    // Resumen de los turnos antiguos de una conversación (chatSessions.compactHistory)
+    historySummary: ({ previousSummary, messages }) => `Resume la siguiente conversación entre un usuario y un asistente sobre un documento, en un máximo de 150 palabras. Conserva las preguntas del usuario, los datos importantes de las respuestas y cualquier preferencia o aclaración que el usuario haya pedido. Responde solo con el resumen.
+${previousSummary ? `\nResumen de la conversación anterior:\n${previousSummary}\n` : ''}
+Conversación:
+${messages.map(msg => `${msg.role === 'user' ? 'Usuario' : 'Asistente'}: ${msg.content}`).join('\n')}`,
+
+    documentChat: ({ documentLabel, passages, conversation, citationInstructions, message }) => `Eres un asistente experto que ayuda a los usuarios a entender documentos.
+
+Documento: ${documentLabel}
+Pasajes numerados del documento relevantes para la pregunta:
+${passages}
+${conversation}
+
+Instrucciones:
+- Responde de manera natural y conversacional en español
+- Basa tus respuestas únicamente en los pasajes del documento proporcionados
+- Si los pasajes no contienen la información necesaria, dilo en lugar de inventarla
+- Si la pregunta no está relacionada con el documento, indícalo amablemente
+- Sé conciso pero informativo
+- Usa un tono profesional pero amigable
+${citationInstructions}
+
+Pregunta del usuario: ${message}
+
+Respuesta:`,
+
+    libraryChat: ({ documentList, passages, citationInstructions, message }) => `Eres el asistente de AudIA y ayudas al usuario a estudiar con su biblioteca de documentos.
+
+Documentos del usuario:
+${documentList}
+
+Pasajes numerados de los documentos relevantes para la pregunta:
+${passages}
+
+Instrucciones:
+- Responde de manera natural y conversacional en español
+- Basa tus respuestas únicamente en los pasajes proporcionados
+- Indica de qué documento proviene cada parte de la respuesta, mencionando su nombre
+- Si el usuario pregunta qué documentos tratan un tema, enuméralos con las páginas donde aparece
+- Si los pasajes no contienen la información necesaria, dilo en lugar de inventarla
+- Sé conciso pero informativo
+${citationInstructions}
+
+Pregunta del usuario: ${message}
+
+Respuesta:`,
+
+    summary: {
+      defaultContext: 'un documento',
+      levels: {
+        brief: 'un resumen breve de 3 a 5 oraciones que capture la idea central',
+        standard: 'un resumen de 3 a 5 párrafos con los puntos principales, en el orden en que aparecen',
+        detailed: 'un resumen detallado organizado por temas, con los conceptos clave, argumentos, datos y ejemplos importantes de cada parte'
+      },
+      chunk: ({ index, total, context, words, text }) => `Este es el fragmento ${index} de ${total} de ${context}. Resume su contenido en un máximo de ${words} palabras, conservando los conceptos, datos y conclusiones clave. Responde solo con el resumen, sin introducciones.
+
+Fragmento:
+${text}`,
+      partialLabel: (index) => `Resumen parcial ${index}`,
+      combine: ({ context, instructions, text }) => `Los siguientes son resúmenes parciales, en orden, de las partes de ${context}. Combínalos en ${instructions}. Cubre el documento completo, incluido el final, sin repetir ideas. Responde solo con el resumen.
+
+${text}`,
+      single: ({ context, instructions, text }) => `Escribe ${instructions} de ${context}. Responde solo con el resumen, sin introducciones.
+
+Documento:
+${text}`
+    }
+  },
+
+  en: {
+    pageLabel: 'page',
+    describeScope: describeScope.en,
+    documentContext: (filename, scope) => `the document "${filename}"${describeScope.en(scope)}`,
+
+    citationInstructions: `- After each statement, put the number of the passage that supports it in square brackets, for example [2]
+- At the end of the answer write a line with "${CITATIONS_MARKER}" followed by a JSON array with one citation per statement:
+  [{"passage": 2, "quote": "sentence copied verbatim from the passage"}]
+- Each "quote" must be a short sentence copied exactly from the passage, without changes
+- If the passages do not support the answer, write "${CITATIONS_MARKER}" followed by []`,
+
+    microSummary: ({ text }) => `Write a concise micro summary (200 words maximum) of the following document. The summary must be clear, informative and capture the main points.
+
+Full document:
+${text}`,
+
+    flashcards: ({ count, text }) => `Generate ${count} educational flashcards based on the following document. Each flashcard must have:
+1. A title that is a clear and concise question
+2. A description that is the detailed answer
+
+IMPORTANT: Respond ONLY with a valid JSON array, with no additional text before or after it.
+
+Response format (JSON array):
+[
+  {
+    "title": "Question here",
+    "description": "Detailed answer here"
+  }
+]
+
+Full document:
+${text}`,
+
+    concepts: ({ count, text }) => `Extract the ${count} most important concepts from the following document. For each concept, provide:
+1. A short and clear title for the concept
+2. A brief description that explains the concept in the context of the document
+
+IMPORTANT: Respond ONLY with a valid JSON array, with no additional text before or after it.
+
+Response format (JSON array):
+[
+  {
+    "title": "Concept name",
+    "description": "Explanation of the concept in the context of the document"
+  }
+]
+
+Full document:
+${text}`,
+
+    repair: ({ prompt, previousResponse, errors, schema }) => `${prompt}
+
+---
+Your previous answer does not follow the required format.
+
+Previous answer:
+${previousResponse}
+
+Errors found:
+${errors}
+
+Respond again ONLY with valid JSON, with no additional text, that follows this schema:
+${schema}`,
+
+    schemaErrors: {
+      type: (path, expected, actual) => `${path}: expected ${expected} but got ${actual}`,
+      empty: (path) => `${path}: the text cannot be empty`,
+      minItems: (path, min, count) => `${path}: expected at least ${min} items but got ${count}`,
+      maxItems: (path, max, count) => `${path}: expected at most ${max} items but got ${count}`,
+      required: (path) => `${path}: required field`,
+      invalidJson: (detail) => `Invalid JSON: ${detail}`,
+      noJson: (detail) => `The response contains no JSON: ${detail}`
+    },
+
+    fallbackFlashcardTitle: (snippet) => `What does the document say about: "${snippet}..."?`,
+
+    chatFallback: {
+      modelError: (filename) => `Based on the document "${filename}", I can help you. However, there was a problem processing your question with the advanced model. Please try rephrasing your question.`,
+      unavailable: (filename) => `Based on the document "${filename}", I can help you. However, the advanced assistant is not available right now. Please try again later.`
+    },
+
+    libraryChatFallback: {
+      noDocuments: 'You do not have any processed documents yet. Upload a document and I will be able to answer questions about its content.',
+      describeSource: (source) => source.pages.length > 0
+        ? `"${source.filename}" (page${source.pages.length > 1 ? 's' : ''} ${source.pages.join(', ')})`
+        : `"${source.filename}"`,
+      found: (sourceList) => `I found related information in: ${sourceList}.`,
+      notFound: 'I did not find information about that in your documents. Try other words or upload a document that covers the topic.'
+    },
+
+    conversation: ({ summary, messages }) => {
+      let context = '';
+      if (summary) {
+        context += `\n\nSummary of the earlier conversation:\n${summary}\n`;
+      }
+      if (messages.length > 0) {
+        context += '\n\nConversation history:\n';
+        messages.forEach(msg => {
+          context += `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}\n`;
+        });
+      }
+      return context;
+    },
+
+    historySummary: ({ previousSummary, messages }) => `Summarize the following conversation between a user and an assistant about a document in at most 150 words. Keep the user's questions, the important facts from the answers and any preference or clarification the user asked for. Respond only with the summary.
+${previousSummary ? `\nSummary of the earlier conversation:\n${previousSummary}\n` : ''}
+Conversation:
+${messages.map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`).join('\n')}`,
+
+    documentChat: ({ documentLabel, passages, conversation, citationInstructions, message }) => `You are an expert assistant who helps users understand documents.
+
+Document: ${documentLabel}
+Numbered passages from the document relevant to the question:
+${passages}
+${conversation}
+
+Instructions:
+- Answer in a natural, conversational way in English
+- Base your answers only on the document passages provided
+- If the passages do not contain the information needed, say so instead of making it up
+- If the question is not related to the document, point that out politely
+- Be concise but informative
+- Use a professional but friendly tone
+${citationInstructions}
+
+User question: ${message}
+
+Answer:`,
+
+    libraryChat: ({ documentList, passages, citationInstructions, message }) => `You are the AudIA assistant and you help the user study with their document library.
+
+User documents:
+${documentList}
+
+Numbered passages from the documents relevant to the question:
+${passages}
+
+Instructions:
+- Answer in a natural, conversational way in English
+- Base your answers only on the passages provided
+- Say which document each part of the answer comes from, mentioning its name
+- If the user asks which documents cover a topic, list them with the pages where it appears
+- If the passages do not contain the information needed, say so instead of making it up
+- Be concise but informative
+${citationInstructions}
+
+User question: ${message}
+
+Answer:`,
+
+    summary: {
+      defaultContext: 'a document',
+      levels: {
+        brief: 'a brief summary of 3 to 5 sentences that captures the central idea',
+        standard: 'a summary of 3 to 5 paragraphs with the main points, in the order in which they appear',
+        detailed: 'a detailed summary organized by topic, with the key concepts, arguments, data and important examples of each part'
+      },
+      chunk: ({ index, total, context, words, text }) => `This is excerpt ${index} of ${total} of ${context}. Summarize its content in at most ${words} words, keeping the key concepts, data and conclusions. Respond only with the summary, without introductions.
+
+Excerpt:
+${text}`,
+      partialLabel: (index) => `Partial summary ${index}`,
+      combine: ({ context, instructions, text }) => `The following are partial summaries, in order, of the parts of ${context}. Combine them into ${instructions}. Cover the whole document, including the end, without repeating ideas. Respond only with the summary.
+
+${text}`,
+      single: ({ context, instructions, text }) => `Write ${instructions} of ${context}. Respond only with the summary, without introductions.
+
+Document:
+${text}`
+    }
+  },
+
+  pt: {
+    pageLabel: 'página',
+    describeScope: describeScope.pt,
+    documentContext: (filename, scope) => `o documento "${filename}"${describeScope.pt(scope)}`,
+
+    citationInstructions: `- Depois de cada afirmação indique entre colchetes o número do trecho que a sustenta, por exemplo [2]
+- No final da resposta escreva uma linha com "${CITATIONS_MARKER}" seguida de um JSON array com uma citação por afirmação:
+  [{"passage": 2, "quote": "frase copiada literalmente do trecho"}]
+- Cada "quote" deve ser uma frase curta copiada exatamente do trecho, sem modificá-la
+- Se os trechos não sustentam a resposta, escreva "${CITATIONS_MARKER}" seguido de []`,
+
+    microSummary: ({ text }) => `Gere um micro resumo conciso (máximo de 200 palavras) do seguinte documento. O resumo deve ser claro, informativo e capturar os pontos principais.
+
+Documento completo:
+${text}`,
+
+    flashcards: ({ count, text }) => `Gere ${count} flashcards educativos baseados no seguinte documento. Cada flashcard deve ter:
+1. Um título que seja uma pergunta clara e concisa
+2. Uma descrição que seja a resposta detalhada
+
+IMPORTANTE: Responda SOMENTE com um JSON array válido, sem texto adicional antes ou depois.
+
+Formato de resposta (JSON array):
+[
+  {
+    "title": "Pergunta aqui",
+    "description": "Resposta detalhada aqui"
+  }
+]
+
+Documento completo:
+${text}`,
+
+    concepts: ({ count, text }) => `Extraia os ${count} conceitos mais importantes do seguinte documento. Para cada conceito, forneça:
+1. Um título curto e claro do conceito
+2. Uma descrição breve que explique o conceito no contexto do documento
+
+IMPORTANTE: Responda SOMENTE com um JSON array válido, sem texto adicional antes ou depois.
+
+Formato de resposta (JSON array):
+[
+  {
+    "title": "Nome do conceito",
+    "description": "Explicação do conceito no contexto do documento"
+  }
+]
+
+Documento completo:
+${text}`,
+
+    repair: ({ prompt, previousResponse, errors, schema }) => `${prompt}
+
+---
+Sua resposta anterior não segue o formato exigido.
+
+Resposta anterior:
+${previousResponse}
+
+Erros encontrados:
+${errors}
+
+Responda novamente SOMENTE com um JSON válido, sem texto adicional, que siga este esquema:
+${schema}`,
+
+    schemaErrors: {
+      type: (path, expected, actual) => `${path}: era esperado ${expected} e chegou ${actual}`,
+      empty: (path) => `${path}: o texto não pode estar vazio`,
+      minItems: (path, min, count) => `${path}: eram esperados pelo menos ${min} itens e chegaram ${count}`,
+      maxItems: (path, max, count) => `${path}: eram esperados no máximo ${max} itens e chegaram ${count}`,
+      required: (path) => `${path}: campo obrigatório`,
+      invalidJson: (detail) => `JSON inválido: ${detail}`,
+      noJson: (detail) => `A resposta não contém JSON: ${detail}`
+    },
+
+    fallbackFlashcardTitle: (snippet) => `Que informação é mencionada sobre: "${snippet}..."?`,
+
+    chatFallback: {
+      modelError: (filename) => `Com base no documento "${filename}", posso ajudar você. No entanto, houve um problema ao processar sua pergunta com o modelo avançado. Por favor, tente reformular sua pergunta.`,
+      unavailable: (filename) => `Com base no documento "${filename}", posso ajudar você. No entanto, o assistente avançado não está disponível no momento. Por favor, tente mais tarde.`
+    },
+
+    libraryChatFallback: {
+      noDocuments: 'Você ainda não tem documentos processados. Envie um documento e poderei responder perguntas sobre o seu conteúdo.',
+      describeSource: (source) => source.pages.length > 0
+        ? `"${source.filename}" (página${source.pages.length > 1 ? 's' : ''} ${source.pages.join(', ')})`
+        : `"${source.filename}"`,
+      found: (sourceList) => `Encontrei informações relacionadas em: ${sourceList}.`,
+      notFound: 'Não encontrei informações sobre isso nos seus documentos. Tente outras palavras ou envie um documento que trate do tema.'
+    },
+
+    conversation: ({ summary, messages }) => {
+      let context = '';
+      if (summary) {
+        context += `\n\nResumo da conversa anterior:\n${summary}\n`;
+      }
+      if (messages.length > 0) {
+        context += '\n\nHistórico da conversa:\n';
+        messages.forEach(msg => {
+          context += `${msg.role === 'user' ? 'Usuário' : 'Assistente'}: ${msg.content}\n`;
+        });
+      }
+      return context;
+    },
+
+    historySummary: ({ previousSummary, messages }) => `Resuma a seguinte conversa entre um usuário e um assistente sobre um documento em no máximo 150 palavras. Conserve as perguntas do usuário, os dados importantes das respostas e qualquer preferência ou esclarecimento que o usuário tenha pedido. Responda somente com o resumo.
+${previousSummary ? `\nResumo da conversa anterior:\n${previousSummary}\n` : ''}
+Conversa:
+${messages.map(msg => `${msg.role === 'user' ? 'Usuário' : 'Assistente'}: ${msg.content}`).join('\n')}`,
+
+    documentChat: ({ documentLabel, passages, conversation, citationInstructions, message }) => `Você é um assistente especialista que ajuda os usuários a entender documentos.
+
+Documento: ${documentLabel}
+Trechos numerados do documento relevantes para a pergunta:
+${passages}
+${conversation}
+
+Instruções:
+- Responda de forma natural e conversacional em português
+- Baseie suas respostas somente nos trechos do documento fornecidos
+- Se os trechos não contêm a informação necessária, diga isso em vez de inventá-la
+- Se a pergunta não estiver relacionada ao documento, indique isso com gentileza
+- Seja conciso, mas informativo
+- Use um tom profissional, mas amigável
+${citationInstructions}
+
+Pergunta do usuário: ${message}
+
+Resposta:`,
+
+    libraryChat: ({ documentList, passages, citationInstructions, message }) => `Você é o assistente do AudIA e ajuda o usuário a estudar com sua biblioteca de documentos.
+
+Documentos do usuário:
+${documentList}
+
+Trechos numerados dos documentos relevantes para a pergunta:
+${passages}
+
+Instruções:
+- Responda de forma natural e conversacional em português
+- Baseie suas respostas somente nos trechos fornecidos
+- Indique de qual documento vem cada parte da resposta, mencionando seu nome
+- Se o usuário perguntar quais documentos tratam de um tema, liste-os com as páginas onde aparece
+- Se os trechos não contêm a informação necessária, diga isso em vez de inventá-la
+- Seja conciso, mas informativo
+${citationInstructions}
+
+Pergunta do usuário: ${message}
+
+Resposta:`,
+
+    summary: {
+      defaultContext: 'um documento',
+      levels: {
+        brief: 'um resumo breve de 3 a 5 frases que capture a ideia central',
+        standard: 'um resumo de 3 a 5 parágrafos com os pontos principais, na ordem em que aparecem',
+        detailed: 'um resumo detalhado organizado por temas, com os conceitos-chave, argumentos, dados e exemplos importantes de cada parte'
+      },
+      chunk: ({ index, total, context, words, text }) => `Este é o trecho ${index} de ${total} de ${context}. Resuma seu conteúdo em no máximo ${words} palavras, conservando os conceitos, dados e conclusões principais. Responda somente com o resumo, sem introduções.
+
+Trecho:
+${text}`,
+      partialLabel: (index) => `Resumo parcial ${index}`,
+      combine: ({ context, instructions, text }) => `A seguir estão resumos parciais, em ordem, das partes de ${context}. Combine-os em ${instructions}. Cubra o documento completo, incluindo o final, sem repetir ideias. Responda somente com o resumo.
+
+${text}`,
+      single: ({ context, instructions, text }) => `Escreva ${instructions} de ${context}. Responda somente com o resumo, sem introduções.
+
+Documento:
+${text}`
+    }
+  }
+};
+
+const isSupportedLanguage = (language) => Object.prototype.hasOwnProperty.call(PROMPT_TEMPLATES, language);
+
+// Plantillas del idioma pedido (o las del idioma por defecto si no está soportado)
+const getPromptTemplates = (language) => PROMPT_TEMPLATES[isSupportedLanguage(language) ? language : DEFAULT_LANGUAGE];
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  isSupportedLanguage,
+  getPromptTemplates
+};
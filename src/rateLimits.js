@@ -0,0 +1,230 @@
+const fs = require('fs');
+const { getCollection } = require('./storage');
+const usersStore = require('./usersStore');
+
+// ✅ Límites de uso de los endpoints de IA y TTS
+// - Rate limit por usuario (según su plan) y por IP, en ventanas de un minuto en memoria.
+// - Cuotas diarias y mensuales por funcionalidad (chat, pills, compare, tts), persistidas en la
+//   colección 'quotaCounters' para que sobrevivan a un reinicio. La unidad se reserva al aceptar
+//   la petición (así varias peticiones en paralelo no pasan todas con la última unidad libre) y
+//   se devuelve si la respuesta falla, sale del cache (el endpoint marca res.locals.quotaExempt)
+//   o el cliente se desconecta antes de recibirla.
+// Al superar un límite se responde 429 con Retry-After; todas las respuestas llevan los
+// encabezados X-RateLimit-* y X-Quota-* con lo que queda disponible.
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+// Peticiones por minuto desde una misma IP, sumando todos los usuarios (0 = sin límite)
+const RATE_LIMIT_IP_PER_MINUTE = parseInt(process.env.RATE_LIMIT_IP_PER_MINUTE || '60', 10);
+
+// Planes: peticiones por minuto y cuotas { daily, monthly } por funcionalidad (null = sin límite)
+// PLANS_CONFIG_PATH apunta a un JSON con la misma forma para reemplazarlos.
+const DEFAULT_PLANS = {
+  free: {
+    requestsPerMinute: 20,
+    quotas: {
+      chat: { daily: 50, monthly: 500 },
+      pills: { daily: 30, monthly: 300 },
+      compare: { daily: 5, monthly: 50 },
+      tts: { daily: 20, monthly: 200 }
+    }
+  },
+  premium: {
+    requestsPerMinute: 60,
+    quotas: {
+      chat: { daily: 500, monthly: 10000 },
+      pills: { daily: 300, monthly: 5000 },
+      compare: { daily: 50, monthly: 1000 },
+      tts: { daily: 200, monthly: 3000 }
+    }
+  }
+};
+const DEFAULT_PLAN = 'free';
+
+const loadPlans = () => {
+  const configPath = process.env.PLANS_CONFIG_PATH;
+  if (!configPath) {
+    return DEFAULT_PLANS;
+  }
+  try {
+    const plans = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    if (!plans[DEFAULT_PLAN]) {
+      throw new Error(`falta el plan '${DEFAULT_PLAN}'`);
+    }
+    console.log(`✅ Planes de uso cargados desde ${configPath}`);
+    return plans;
+  } catch (error) {
+    console.error(`⚠️ No se pudo leer PLANS_CONFIG_PATH (${configPath}), usando los planes por defecto:`, error.message);
+    return DEFAULT_PLANS;
+  }
+};
+const plans = loadPlans();
+
+const quotaCounters = getCollection('quotaCounters');
+const rateWindows = new Map();
+
+// Plan del usuario (user.plan); los usuarios sin plan o con uno desconocido son 'free'
+const getUserPlan = (userId) => {
+  const user = usersStore.findById(userId);
+  return user && plans[user.plan] ? user.plan : DEFAULT_PLAN;
+};
+
+// Contar una petición en la ventana actual; devuelve { allowed, remaining, resetAt }
+function hitRateWindow(key, limit, now) {
+  let window = rateWindows.get(key);
+  if (!window || window.resetAt <= now) {
+    window = { count: 0, resetAt: now + RATE_LIMIT_WINDOW_MS };
+    rateWindows.set(key, window);
+  }
+  if (window.count >= limit) {
+    return { allowed: false, remaining: 0, resetAt: window.resetAt };
+  }
+  window.count++;
+  return { allowed: true, remaining: limit - window.count, resetAt: window.resetAt };
+}
+
+// Descartar las ventanas vencidas para que el Map no crezca indefinidamente
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, window] of rateWindows) {
+    if (window.resetAt <= now) {
+      rateWindows.delete(key);
+    }
+  }
+}, RATE_LIMIT_WINDOW_MS).unref();
+
+// Períodos de cuota en UTC: clave del período actual y momento en que se reinicia
+const getQuotaPeriods = (now) => {
+  const date = new Date(now);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  return {
+    daily: { key: date.toISOString().slice(0, 10), resetAt: Date.UTC(year, month, date.getUTCDate() + 1) },
+    monthly: { key: date.toISOString().slice(0, 7), resetAt: Date.UTC(year, month + 1, 1) }
+  };
+};
+
+const quotaCounterKey = (userId, feature, period, periodKey) => `${userId}:${feature}:${period}:${periodKey}`;
+
+const getQuotaUsed = (userId, feature, period, periodKey) =>
+  (quotaCounters.get(quotaCounterKey(userId, feature, period, periodKey)) || { count: 0 }).count;
+
+// Sumar (delta 1) o devolver (delta -1) una unidad en los períodos indicados
+function adjustQuota(userId, feature, periods, delta) {
+  Object.entries(periods).forEach(([period, { key: periodKey }]) => {
+    const key = quotaCounterKey(userId, feature, period, periodKey);
+    const counter = quotaCounters.get(key) || { userId, feature, period, periodKey, count: 0 };
+    counter.count = Math.max(0, counter.count + delta);
+    quotaCounters.set(key, counter);
+  });
+}
+
+const secondsUntil = (timestamp, now) => Math.max(1, Math.ceil((timestamp - now) / 1000));
+
+const rejectOverLimit = (res, { message, limit, plan, retryAt, now }) => {
+  res.setHeader('Retry-After', String(secondsUntil(retryAt, now)));
+  return res.status(429).json({
+    success: false,
+    message,
+    limit,
+    plan,
+    retryAfter: secondsUntil(retryAt, now)
+  });
+};
+
+// Encabezados X-Quota-* de cada período con límite; used es el uso previo a esta petición
+// y charged indica si esta petición consume una unidad
+const setQuotaHeaders = (res, quotaStatus, charged) => {
+  quotaStatus.forEach(({ headerName, limit, used }) => {
+    res.setHeader(`X-Quota-${headerName}-Limit`, String(limit));
+    res.setHeader(`X-Quota-${headerName}-Remaining`, String(Math.max(0, limit - used - (charged ? 1 : 0))));
+  });
+};
+
+// Middleware para una funcionalidad ('chat', 'pills', 'compare', 'tts'); va después de requireAuth
+function enforceLimits(feature) {
+  return (req, res, next) => {
+    const now = Date.now();
+    const userId = req.user.id;
+    const planName = getUserPlan(userId);
+    const plan = plans[planName];
+
+    // Uso de la cuota antes de esta petición; los 429 por rate limit también lo informan
+    const quota = (plan.quotas || {})[feature] || {};
+    const periods = getQuotaPeriods(now);
+    const quotaStatus = ['daily', 'monthly']
+      .filter(period => quota[period] !== null && quota[period] !== undefined)
+      .map(period => ({
+        period,
+        headerName: period === 'daily' ? 'Daily' : 'Monthly',
+        limit: quota[period],
+        used: getQuotaUsed(userId, feature, period, periods[period].key)
+      }));
+    setQuotaHeaders(res, quotaStatus, false);
+
+    if (RATE_LIMIT_IP_PER_MINUTE > 0) {
+      const ipWindow = hitRateWindow(`ip:${req.ip}`, RATE_LIMIT_IP_PER_MINUTE, now);
+      if (!ipWindow.allowed) {
+        return rejectOverLimit(res, {
+          message: 'Demasiadas solicitudes desde esta dirección IP. Intenta nuevamente en unos segundos.',
+          limit: 'ip',
+          plan: planName,
+          retryAt: ipWindow.resetAt,
+          now
+        });
+      }
+    }
+
+    if (plan.requestsPerMinute) {
+      const userWindow = hitRateWindow(`user:${userId}`, plan.requestsPerMinute, now);
+      res.setHeader('X-RateLimit-Limit', String(plan.requestsPerMinute));
+      res.setHeader('X-RateLimit-Remaining', String(userWindow.remaining));
+      res.setHeader('X-RateLimit-Reset', String(secondsUntil(userWindow.resetAt, now)));
+      if (!userWindow.allowed) {
+        return rejectOverLimit(res, {
+          message: 'Demasiadas solicitudes. Intenta nuevamente en unos segundos.',
+          limit: 'rate',
+          plan: planName,
+          retryAt: userWindow.resetAt,
+          now
+        });
+      }
+    }
+
+    for (const { period, limit, used } of quotaStatus) {
+      if (used >= limit) {
+        return rejectOverLimit(res, {
+          message: `Alcanzaste la cuota ${period === 'daily' ? 'diaria' : 'mensual'} de ${feature} de tu plan (${limit}).`,
+          limit: period,
+          plan: planName,
+          retryAt: periods[period].resetAt,
+          now
+        });
+      }
+    }
+
+    // Reservar la unidad antes de ejecutar el handler; se devuelve en los mismos períodos
+    // (aunque la respuesta termine después de medianoche) si al final no corresponde cobrarla
+    adjustQuota(userId, feature, periods, 1);
+    const isRefunded = () => res.statusCode >= 400 || res.locals.quotaExempt;
+    res.on('close', () => {
+      if (!res.writableFinished || isRefunded()) {
+        adjustQuota(userId, feature, periods, -1);
+      }
+    });
+
+    // Lo que queda se informa al enviar los encabezados, cuando ya se sabe si la respuesta se
+    // cobra. En streaming los encabezados salen antes del resultado y asumen que se cobra.
+    const writeHead = res.writeHead;
+    res.writeHead = function (...args) {
+      if (typeof args[0] === 'number') {
+        res.statusCode = args[0];
+      }
+      setQuotaHeaders(res, quotaStatus, !isRefunded());
+      return writeHead.apply(this, args);
+    };
+    next();
+  };
+}
+
+module.exports = {
+  enforceLimits
+};
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const { getCollection } = require('./storage');
+const { chunkText } = require('./chunking');
+const { getPageForOffset } = require('./pages');
+
+// ✅ Búsqueda local (BM25) sobre fragmentos del documento
+// Cada documento se divide en pasajes con solapamiento y se indexa al procesarlo. El índice
+// guarda solo offsets y frecuencias de términos: el texto de cada pasaje se lee de document.text.
+// Funciona sin conexión y sin modelos de embeddings.
+const indexesStore = getCollection('searchIndexes');
+
+const PASSAGE_CHARS = parseInt(process.env.RETRIEVAL_PASSAGE_CHARS || '1500', 10);
+const PASSAGE_OVERLAP = parseInt(process.env.RETRIEVAL_PASSAGE_OVERLAP || '200', 10);
+// Se incrementa cuando cambia la forma de indexar, para reconstruir índices viejos
+const INDEX_VERSION = 3;
+
+// Parámetros estándar de BM25
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set([
+  // Español
+  'a', 'al', 'algo', 'como', 'con', 'cual', 'cuales', 'cuando', 'de', 'del', 'donde', 'el', 'ella', 'ellos',
+  'en', 'entre', 'era', 'es', 'esa', 'ese', 'eso', 'esta', 'este', 'esto', 'fue', 'ha', 'hay', 'la', 'las',
+  'le', 'les', 'lo', 'los', 'mas', 'me', 'mi', 'muy', 'no', 'o', 'para', 'pero', 'por', 'que', 'se',
+  'segun', 'ser', 'si', 'sin', 'sobre', 'son', 'su', 'sus', 'tambien', 'te', 'tu', 'un', 'una', 'uno', 'unos',
+  'unas', 'y', 'ya', 'yo', 'mis', 'tus', 'nos', 'esto', 'estos', 'estas', 'otro', 'otra', 'hace', 'puede',
+  // Inglés
+  'an', 'and', 'are', 'as', 'at', 'be', 'by', 'does', 'for', 'from', 'how', 'in', 'is', 'it', 'its', 'of',
+  'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what', 'when', 'where', 'which', 'who', 'why', 'with',
+  'my', 'do', 'about',
+  // Portugués (las formas que coinciden con el español ya están arriba)
+  'ao', 'aos', 'da', 'das', 'dos', 'na', 'nas', 'num', 'numa', 'em', 'umas', 'uns', 'com', 'mais', 'mas',
+  'ou', 'pelo', 'pela', 'pelos', 'pelas', 'seu', 'sua', 'seus', 'suas', 'ele', 'eles', 'elas', 'isso',
+  'isto', 'essa', 'esse', 'essas', 'esses', 'aquele', 'aquela', 'sao', 'tem', 'ter', 'quais', 'muito',
+  'nao', 'ja', 'ate', 'eu', 'voce', 'meu', 'minha', 'pode',
+  // Palabras sobre los documentos mismos, frecuentes en preguntas a la biblioteca
+  'pdf', 'pdfs', 'documento', 'documentos', 'archivo', 'archivos', 'habla', 'hablan', 'trata', 'tratan',
+  'menciona', 'mencionan', 'dice', 'dicen', 'document', 'documents', 'file', 'files', 'cover', 'covers',
+  'arquivo', 'arquivos', 'fala', 'falam'
+]);
+// Documentos con menos de esta fracción del puntaje del mejor se consideran ruido
+const LIBRARY_MIN_RELATIVE_SCORE = 0.2;
+
+// Minúsculas, sin tildes, sin stopwords; plural simple -> singular para que "células" coincida con "célula"
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length > 1 && !STOPWORDS.has(token))
+    .map(token => (token.length > 4 && token.endsWith('s') ? token.slice(0, -1) : token));
+}
+
+const countTerms = (tokens) => tokens.reduce((counts, token) => {
+  counts[token] = (counts[token] || 0) + 1;
+  return counts;
+}, {});
+
+// Huella del texto indexado: un texto nuevo del mismo largo también invalida el índice
+const hashText = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// Construir y guardar el índice de un documento
+function indexDocument(document) {
+  const text = document.text || '';
+  const passages = text.trim().length === 0
+    ? []
+    : chunkText(text, { maxChars: PASSAGE_CHARS, overlap: PASSAGE_OVERLAP }).map(chunk => {
+      const tokens = tokenize(chunk.text);
+      return {
+        start: chunk.start,
+        end: chunk.end,
+        page: getPageForOffset(document, chunk.start),
+        length: tokens.length,
+        terms: countTerms(tokens)
+      };
+    });
+
+  // Cantidad de pasajes en que aparece cada término
+  const documentFrequency = {};
+  passages.forEach(passage => {
+    Object.keys(passage.terms).forEach(term => {
+      documentFrequency[term] = (documentFrequency[term] || 0) + 1;
+    });
+  });
+
+  const index = {
+    documentId: document.id,
+    version: INDEX_VERSION,
+    textLength: text.length,
+    textHash: hashText(text),
+    averageLength: passages.length > 0 ? passages.reduce((sum, p) => sum + p.length, 0) / passages.length : 0,
+    documentFrequency,
+    passages,
+    indexedAt: new Date().toISOString()
+  };
+  indexesStore.set(document.id, index);
+  return index;
+}
+
+// Índice del documento; se reconstruye si falta o si el texto cambió desde que se indexó
+function getDocumentIndex(document) {
+  const index = indexesStore.get(document.id);
+  const text = document.text || '';
+  if (index && index.version === INDEX_VERSION && index.textLength === text.length && index.textHash === hashText(text)) {
+    return index;
+  }
+  return indexDocument(document);
+}
+
+function deleteDocumentIndex(documentId) {
+  indexesStore.delete(documentId);
+}
+
+// Buscar los pasajes más relevantes para una consulta
+// range { start, end } limita la búsqueda a pasajes que se solapan con ese tramo del texto
+// Devuelve [{ start, end, page, score, text }] ordenados por relevancia
+function searchDocument(document, query, { limit = 5, range = null } = {}) {
+  const index = getDocumentIndex(document);
+  const queryTerms = Array.from(new Set(tokenize(query)));
+  if (queryTerms.length === 0 || index.passages.length === 0) {
+    return [];
+  }
+
+  const totalPassages = index.passages.length;
+  const idf = (term) => {
+    const df = index.documentFrequency[term] || 0;
+    return Math.log(1 + (totalPassages - df + 0.5) / (df + 0.5));
+  };
+
+  const text = document.text || '';
+  return index.passages
+    .filter(passage => !range || (passage.end > range.start && passage.start < range.end))
+    .map(passage => {
+      const score = queryTerms.reduce((sum, term) => {
+        const tf = passage.terms[term] || 0;
+        if (tf === 0) return sum;
+        const norm = BM25_K1 * (1 - BM25_B + BM25_B * passage.length / (index.averageLength || 1));
+        return sum + idf(term) * (tf * (BM25_K1 + 1)) / (tf + norm);
+      }, 0);
+      return { passage, score };
+    })
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ passage, score }) => {
+      // Recortar al alcance pedido para no citar texto de fuera de la sección
+      const start = range ? Math.max(passage.start, range.start) : passage.start;
+      const end = range ? Math.min(passage.end, range.end) : passage.end;
+      return {
+        start,
+        end,
+        page: getPageForOffset(document, start),
+        score: Math.round(score * 1000) / 1000,
+        text: text.slice(start, end)
+      };
+    });
+}
+
+// Buscar en varios documentos (la biblioteca de un usuario)
+// Devuelve { passages, documents }: los mejores pasajes de todos los documentos (cada uno con
+// su documento) y los documentos ordenados por relevancia para la consulta
+function searchLibrary(documents, query, { limit = 8, perDocument = 3 } = {}) {
+  const queryTerms = new Set(tokenize(query));
+  const ranked = documents
+    .map(document => {
+      const passages = searchDocument(document, query, { limit: perDocument });
+      // El nombre del archivo también cuenta ("¿qué dice mi PDF de biología?")
+      const name = String(document.filename || '').replace(/\.[^.]+$/, '');
+      const filenameMatches = tokenize(name).filter(term => queryTerms.has(term)).length;
+      const score = passages.reduce((sum, p) => sum + p.score, 0) + filenameMatches * 2;
+      return { document, passages, score };
+    })
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score);
+  const relevant = ranked.filter(result => result.score >= ranked[0].score * LIBRARY_MIN_RELATIVE_SCORE);
+
+  const passages = relevant
+    .flatMap(result => result.passages.map(passage => ({ ...passage, document: result.document })))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+  return {
+    passages,
+    documents: relevant.map(result => ({
+      documentId: result.document.id,
+      filename: result.document.filename,
+      score: Math.round(result.score * 1000) / 1000,
+      pages: Array.from(new Set(result.passages.map(p => p.page))).sort((a, b) => a - b)
+    }))
+  };
+}
+
+module.exports = {
+  tokenize,
+  indexDocument,
+  getDocumentIndex,
+  deleteDocumentIndex,
+  searchDocument,
+  searchLibrary
+};
@@ -0,0 +1,52 @@
+// ✅ Generaciones compartidas (single-flight)
+// Si llega una petición igual a otra que todavía se está generando (doble render del frontend,
+// reintento del cliente), espera la misma promesa en lugar de volver a llamar al modelo, y todas
+// reciben el mismo resultado. La generación recibe su propia señal, que solo se aborta cuando se
+// desconectaron todos los clientes que la esperaban.
+const inFlight = new Map();
+
+// Ejecutar fn(signal) una sola vez por clave mientras esté en curso
+// signal (opcional) es la del cliente que llama; devuelve lo que devuelva fn
+function runSingleFlight(key, fn, signal) {
+  let entry = inFlight.get(key);
+  // Una generación ya abortada no se comparte: devolverá sin resultado
+  if (entry && entry.controller.signal.aborted) {
+    entry = null;
+  }
+
+  if (entry) {
+    console.log(`ℹ️ Generación en curso reutilizada: ${key}`);
+  } else {
+    const controller = new AbortController();
+    entry = { controller, waiters: 0 };
+    entry.promise = Promise.resolve()
+      .then(() => fn(controller.signal))
+      .finally(() => {
+        if (inFlight.get(key) === entry) {
+          inFlight.delete(key);
+        }
+      });
+    inFlight.set(key, entry);
+  }
+
+  const current = entry;
+  current.waiters++;
+  if (signal) {
+    const leave = () => {
+      current.waiters--;
+      if (current.waiters === 0) {
+        current.controller.abort();
+      }
+    };
+    if (signal.aborted) {
+      leave();
+    } else {
+      signal.addEventListener('abort', leave, { once: true });
+    }
+  }
+  return current.promise;
+}
+
+module.exports = {
+  runSingleFlight
+};
@@ -0,0 +1,153 @@
+const path = require('path');
+const fs = require('fs');
+
+// ✅ Capa de almacenamiento persistente
+// Cada colección (documents, users, calendarTokens, ...) se expone con la misma API que un Map,
+// así el resto del código sigue usando get/set/delete. Los datos viven en memoria y cada
+// escritura se delega al backend configurado con STORAGE_BACKEND.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+
+// Backend por defecto: un archivo JSON por registro en data/<colección>/<clave>.json
+class FileStorageBackend {
+  constructor(baseDir) {
+    this.baseDir = baseDir;
+  }
+
+  collectionDir(collection) {
+    return path.join(this.baseDir, collection);
+  }
+
+  recordPath(collection, key) {
+    return path.join(this.collectionDir(collection), `${encodeURIComponent(key)}.json`);
+  }
+
+  loadAll(collection) {
+    const dir = this.collectionDir(collection);
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+    const entries = [];
+    fs.readdirSync(dir)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        const key = decodeURIComponent(file.slice(0, -'.json'.length));
+        try {
+          entries.push([key, JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))]);
+        } catch (error) {
+          console.error(`⚠️ Registro corrupto ignorado (${collection}/${file}):`, error.message);
+        }
+      });
+    return entries;
+  }
+
+  // Escritura atómica: primero a un archivo temporal y luego rename
+  write(collection, key, value) {
+    const dir = this.collectionDir(collection);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    const filePath = this.recordPath(collection, key);
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(value));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  remove(collection, key) {
+    const filePath = this.recordPath(collection, key);
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+}
+
+// Backend sin persistencia (útil para desarrollo o pruebas efímeras)
+class MemoryStorageBackend {
+  loadAll() {
+    return [];
+  }
+
+  write() {}
+
+  remove() {}
+}
+
+// Colección con interfaz de Map respaldada por un backend
+class PersistentCollection {
+  constructor(name, backend) {
+    this.name = name;
+    this.backend = backend;
+    this.items = new Map(backend.loadAll(name));
+  }
+
+  get size() {
+    return this.items.size;
+  }
+
+  get(key) {
+    return this.items.get(key);
+  }
+
+  has(key) {
+    return this.items.has(key);
+  }
+
+  set(key, value) {
+    this.items.set(key, value);
+    this.backend.write(this.name, key, value);
+    return this;
+  }
+
+  delete(key) {
+    const existed = this.items.delete(key);
+    if (existed) {
+      this.backend.remove(this.name, key);
+    }
+    return existed;
+  }
+
+  keys() {
+    return this.items.keys();
+  }
+
+  values() {
+    return this.items.values();
+  }
+
+  entries() {
+    return this.items.entries();
+  }
+}
+
+const createBackend = () => {
+  const backendName = (process.env.STORAGE_BACKEND || 'file').toLowerCase();
+  if (backendName === 'memory') {
+    console.warn('⚠️ STORAGE_BACKEND=memory: los datos se perderán al reiniciar el servidor');
+    return new MemoryStorageBackend();
+  }
+  if (backendName !== 'file') {
+    console.warn(`⚠️ STORAGE_BACKEND '${backendName}' no soportado, usando 'file'`);
+  }
+  console.log(`💾 Almacenamiento persistente en ${DATA_DIR}`);
+  return new FileStorageBackend(DATA_DIR);
+};
+
+const backend = createBackend();
+const collections = new Map();
+
+// Obtener (o crear y cargar) una colección por nombre
+function getCollection(name) {
+  if (!collections.has(name)) {
+    const collection = new PersistentCollection(name, backend);
+    collections.set(name, collection);
+    console.log(`✅ Colección '${name}' cargada: ${collection.size} registro(s)`);
+  }
+  return collections.get(name);
+}
+
+module.exports = {
+  DATA_DIR,
+  getCollection,
+  FileStorageBackend,
+  MemoryStorageBackend,
+  PersistentCollection
+};
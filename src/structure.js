@@ -0,0 +1,218 @@
+const { getPageForOffset, getPageBounds } = require('./pages');
+
+// ✅ Detección de estructura: capítulos, títulos y tabla de contenidos
+// Fuentes, en orden de preferencia:
+//   1. 'pdf-outline': marcadores (bookmarks) del PDF
+//   2. 'markup': títulos del formato original (h1-h6 en HTML/EPUB/DOCX, # en Markdown)
+//   3. 'heuristic': patrones tipográficos en el texto plano
+// Todas las fuentes producen una lista plana { title, level, page? } que luego se ubica en
+// document.text y se convierte en un árbol de secciones con offsets de inicio y fin.
+const MAX_HEADING_LENGTH = 120;
+
+// Leer los marcadores del PDF con el pdf.js que trae pdf-parse
+async function extractPdfOutline(buffer) {
+  const pdfjs = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+  pdfjs.disableWorker = true;
+  const doc = await pdfjs.getDocument(buffer);
+  try {
+    const outline = await doc.getOutline();
+    if (!outline || outline.length === 0) {
+      return [];
+    }
+
+    const headings = [];
+    const visit = async (items, level) => {
+      for (const item of items) {
+        let page = null;
+        try {
+          const dest = typeof item.dest === 'string' ? await doc.getDestination(item.dest) : item.dest;
+          if (Array.isArray(dest) && dest[0]) {
+            page = (await doc.getPageIndex(dest[0])) + 1;
+          }
+        } catch (destError) {
+          // Destino inválido o externo: se ubica solo por título
+        }
+        const title = String(item.title || '').trim();
+        if (title) {
+          headings.push({ title, level, page });
+        }
+        if (item.items && item.items.length > 0) {
+          await visit(item.items, level + 1);
+        }
+      }
+    };
+    await visit(outline, 1);
+    return headings;
+  } finally {
+    doc.destroy();
+  }
+}
+
+// Títulos en HTML/XHTML (h1-h6)
+function extractHtmlHeadings(html) {
+  const headings = [];
+  for (const [, level, inner] of String(html).matchAll(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi)) {
+    const title = inner.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+    if (title) {
+      headings.push({ title, level: parseInt(level, 10) });
+    }
+  }
+  return headings;
+}
+
+// Títulos en Markdown (# ... ######), ignorando bloques de código
+function extractMarkdownHeadings(markdown) {
+  const headings = [];
+  const withoutCode = String(markdown).replace(/```[\s\S]*?```/g, '');
+  for (const [, hashes, title] of withoutCode.matchAll(/^(#{1,6})\s+(.+?)\s*#*\s*$/gm)) {
+    headings.push({ title: title.replace(/[*_`]/g, '').trim(), level: hashes.length });
+  }
+  return headings;
+}
+
+// Patrones tipográficos para texto plano
+const CHAPTER_REGEX = /^(cap[ií]tulo|chapter|unidad|unit|tema|parte|part|secci[oó]n|section|lecci[oó]n|lesson)\s+([0-9ivxlcdm]+|[a-záéíóú]+)\b/i;
+const NUMBERED_REGEX = /^(\d{1,2}(?:\.\d{1,2}){0,3})\.?\s+(\p{Lu}.*)$/u;
+
+function detectHeadingsInText(text) {
+  const headings = [];
+  const lines = String(text).split('\n');
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (line.length < 3 || line.length > MAX_HEADING_LENGTH) return;
+    // Un título no termina como una oración
+    if (/[.,;:]$/.test(line) && !CHAPTER_REGEX.test(line)) return;
+
+    if (CHAPTER_REGEX.test(line)) {
+      headings.push({ title: line, level: 1 });
+      return;
+    }
+
+    const numbered = line.match(NUMBERED_REGEX);
+    if (numbered && numbered[2].split(/\s+/).length <= 12) {
+      headings.push({ title: line, level: numbered[1].split('.').length });
+      return;
+    }
+
+    // Líneas cortas en MAYÚSCULAS, aisladas entre líneas vacías o saltos
+    const letters = line.replace(/[^\p{L}]/gu, '');
+    const isolated = (lines[index - 1] || '').trim() === '' || (lines[index + 1] || '').trim() === '';
+    if (letters.length >= 4 && letters === letters.toUpperCase() && letters !== letters.toLowerCase()
+      && line.split(/\s+/).length <= 10 && isolated) {
+      headings.push({ title: line, level: 1 });
+    }
+  });
+  return headings;
+}
+
+const normalizeForSearch = (value) => value.toLowerCase().replace(/\s+/g, ' ');
+
+// Buscar un título en el texto desde una posición, tolerando espacios distintos
+function findHeadingOffset(text, title, fromOffset) {
+  const exact = text.indexOf(title, fromOffset);
+  if (exact >= 0) return exact;
+
+  const pattern = title.trim().split(/\s+/)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('\\s+');
+  const regex = new RegExp(pattern, 'iu');
+  const match = regex.exec(text.slice(fromOffset));
+  return match ? fromOffset + match.index : -1;
+}
+
+// Ubicar los títulos en el texto y construir el árbol de secciones
+function buildSectionTree(document, headings) {
+  const text = document.text || '';
+  const located = [];
+  let cursor = 0;
+
+  headings.forEach(heading => {
+    // Si conocemos la página, buscar desde su inicio
+    const searchFrom = heading.page ? Math.max(cursor, getPageBounds(document, heading.page).start) : cursor;
+    let offset = findHeadingOffset(text, heading.title, searchFrom);
+    if (offset < 0 && heading.page) {
+      offset = getPageBounds(document, heading.page).start;
+    }
+    if (offset < 0) return;
+    located.push({ ...heading, startOffset: offset });
+    cursor = offset + 1;
+  });
+
+  // Eliminar duplicados consecutivos del mismo título (ej: encabezados repetidos)
+  const flat = located.filter((h, i) =>
+    i === 0 || normalizeForSearch(h.title) !== normalizeForSearch(located[i - 1].title)
+  );
+
+  // Cada sección termina donde empieza la siguiente de nivel igual o superior
+  flat.forEach((section, i) => {
+    const next = flat.slice(i + 1).find(s => s.level <= section.level);
+    section.endOffset = next ? next.startOffset : text.length;
+  });
+
+  const roots = [];
+  const stack = [];
+  flat.forEach((heading, i) => {
+    const section = {
+      id: `sec-${i + 1}`,
+      title: heading.title.slice(0, MAX_HEADING_LENGTH),
+      level: heading.level,
+      page: heading.page || getPageForOffset(document, heading.startOffset),
+      startOffset: heading.startOffset,
+      endOffset: heading.endOffset,
+      children: []
+    };
+    while (stack.length > 0 && stack[stack.length - 1].level >= section.level) {
+      stack.pop();
+    }
+    if (stack.length > 0) {
+      stack[stack.length - 1].children.push(section);
+    } else {
+      roots.push(section);
+    }
+    stack.push(section);
+  });
+
+  return roots;
+}
+
+// Detectar la estructura de un documento ya extraído
+// markupHeadings: títulos que entregó el extractor (outline del PDF o marcado del formato)
+function detectDocumentStructure(document, { headings: markupHeadings = [], source = 'markup' } = {}) {
+  let sections = markupHeadings.length > 0 ? buildSectionTree(document, markupHeadings) : [];
+  let usedSource = source;
+
+  if (sections.length === 0) {
+    sections = buildSectionTree(document, detectHeadingsInText(document.text || ''));
+    usedSource = 'heuristic';
+  }
+
+  return {
+    source: sections.length > 0 ? usedSource : 'none',
+    sections,
+    detectedAt: new Date().toISOString()
+  };
+}
+
+// Buscar una sección por id en el árbol
+function findSection(sections, sectionId) {
+  for (const section of sections || []) {
+    if (section.id === sectionId) return section;
+    const found = findSection(section.children, sectionId);
+    if (found) return found;
+  }
+  return null;
+}
+
+function getSectionText(document, section) {
+  return (document.text || '').slice(section.startOffset, section.endOffset);
+}
+
+module.exports = {
+  extractPdfOutline,
+  extractHtmlHeadings,
+  extractMarkdownHeadings,
+  detectHeadingsInText,
+  detectDocumentStructure,
+  findSection,
+  getSectionText
+};
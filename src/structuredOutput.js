@@ -0,0 +1,137 @@
+const { generateText } = require('./llm');
+const { getPromptTemplates } = require('./prompts');
+
+// ✅ Salida estructurada validada con esquema
+// Cada pill que espera JSON declara su esquema (subconjunto de JSON Schema: type, properties,
+// required, items, minItems, maxItems, minLength). El esquema se envía al proveedor para que
+// use su modo JSON cuando lo tenga, y la respuesta se valida. Si no cumple, se le pide al
+// modelo que la corrija mostrándole los errores, hasta STRUCTURED_MAX_ATTEMPTS intentos;
+// después el endpoint usa su fallback.
+const STRUCTURED_MAX_ATTEMPTS = parseInt(process.env.STRUCTURED_MAX_ATTEMPTS || '3', 10);
+const MAX_REPORTED_ERRORS = 10;
+
+// Lista de elementos con título y descripción. Sin maxItems: si el modelo devuelve de más,
+// el endpoint recorta a la cantidad pedida en lugar de pedir una corrección
+const TITLED_ITEMS_SCHEMA = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'object',
+    properties: {
+      title: { type: 'string', minLength: 1 },
+      description: { type: 'string', minLength: 1 }
+    },
+    required: ['title', 'description']
+  }
+};
+
+// Esquemas de las pills que devuelven JSON
+const PILL_SCHEMAS = {
+  flashcards: TITLED_ITEMS_SCHEMA,
+  concepts: TITLED_ITEMS_SCHEMA
+};
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+// Validar un valor contra el esquema; devuelve la lista de errores (vacía si es válido)
+// Los errores van en el pedido de corrección, así que se escriben en el idioma del prompt
+function validateSchema(value, schema, { language, path = '$' } = {}) {
+  const messages = getPromptTemplates(language).schemaErrors;
+  const actualType = typeOf(value);
+  const typeMatches = actualType === schema.type || (schema.type === 'number' && actualType === 'integer');
+  if (!typeMatches) {
+    return [messages.type(path, schema.type, actualType)];
+  }
+
+  const errors = [];
+  if (schema.type === 'string' && schema.minLength && value.trim().length < schema.minLength) {
+    errors.push(messages.empty(path));
+  }
+  if (schema.type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(messages.minItems(path, schema.minItems, value.length));
+    }
+    if (schema.maxItems && value.length > schema.maxItems) {
+      errors.push(messages.maxItems(path, schema.maxItems, value.length));
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, { language, path: `${path}[${i}]` })));
+    }
+  }
+  if (schema.type === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(messages.required(`${path}.${key}`));
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, { language, path: `${path}.${key}` }));
+      }
+    });
+  }
+  return errors;
+}
+
+// Interpretar la respuesta como JSON: completa, sin bloque ```json, o el primer array/objeto que contenga
+function parseJsonResponse(response, language) {
+  const messages = getPromptTemplates(language).schemaErrors;
+  const text = String(response || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    return { value: JSON.parse(text) };
+  } catch (error) {
+    const match = text.match(/[[{][\s\S]*[\]}]/);
+    if (match) {
+      try {
+        return { value: JSON.parse(match[0]) };
+      } catch (innerError) {
+        return { error: messages.invalidJson(innerError.message) };
+      }
+    }
+    return { error: messages.noJson(error.message) };
+  }
+}
+
+// Pedido de corrección en el idioma del prompt original, para que el reintento no cambie de idioma
+const buildRepairPrompt = (prompt, previousResponse, errors, schema, language) => getPromptTemplates(language).repair({
+  prompt,
+  previousResponse: String(previousResponse || '').slice(0, 4000),
+  errors: errors.slice(0, MAX_REPORTED_ERRORS).map(e => `- ${e}`).join('\n'),
+  schema: JSON.stringify(schema)
+});
+
+// Generar y validar una respuesta JSON; devuelve { value, attempts } o null si no se logró
+// language es el idioma del prompt (para el pedido de corrección); el resto de options se pasa
+// a generateText (maxTokens, timeoutMs, model, task)
+async function generateStructured(prompt, schema, { language, ...options } = {}) {
+  let currentPrompt = prompt;
+  for (let attempt = 1; attempt <= STRUCTURED_MAX_ATTEMPTS; attempt++) {
+    const response = await generateText(currentPrompt, { ...options, responseSchema: schema });
+    if (!response) {
+      // Sin proveedor, timeout o error del proveedor: reintentar no corrige el formato
+      return null;
+    }
+
+    const parsed = parseJsonResponse(response, language);
+    const errors = parsed.error ? [parsed.error] : validateSchema(parsed.value, schema, { language });
+    if (errors.length === 0) {
+      return { value: parsed.value, attempts: attempt };
+    }
+
+    console.warn(`⚠️ Respuesta estructurada inválida (intento ${attempt}/${STRUCTURED_MAX_ATTEMPTS}): ${errors.slice(0, 3).join('; ')}`);
+    currentPrompt = buildRepairPrompt(prompt, response, errors, schema, language);
+  }
+  return null;
+}
+
+module.exports = {
+  PILL_SCHEMAS,
+  validateSchema,
+  parseJsonResponse,
+  generateStructured
+};
@@ -0,0 +1,132 @@
+const { chunkText } = require('./chunking');
+const { getPromptTemplates } = require('./prompts');
+
+// ✅ Resúmenes por niveles con map-reduce
+// Los textos que caben en una sola llamada se resumen directamente. Los más largos se dividen
+// en fragmentos, se resume cada uno (map) y luego se combinan los resúmenes parciales (reduce),
+// para que el final de un libro largo también quede cubierto.
+
+// Máximo de caracteres de documento por llamada al modelo (mismo corte que el resto de pills)
+const SUMMARY_CHUNK_CHARS = parseInt(process.env.SUMMARY_CHUNK_CHARS || '100000', 10);
+// Llamadas simultáneas al resumir fragmentos
+const SUMMARY_CONCURRENCY = parseInt(process.env.SUMMARY_CONCURRENCY || '3', 10);
+// Niveles de reducción antes de rendirse (cada nivel reduce ~10 veces el texto)
+const MAX_REDUCE_DEPTH = 3;
+
+// Las instrucciones de cada nivel están en las plantillas de cada idioma (prompts.js)
+const SUMMARY_LEVELS = {
+  brief: {
+    maxTokens: 500,
+    partialWords: 150,
+    fallbackChars: 400
+  },
+  standard: {
+    maxTokens: 1500,
+    partialWords: 300,
+    fallbackChars: 1200
+  },
+  detailed: {
+    maxTokens: 4000,
+    partialWords: 600,
+    fallbackChars: 3000
+  }
+};
+
+const isValidSummaryLevel = (level) => Object.prototype.hasOwnProperty.call(SUMMARY_LEVELS, level);
+
+// Ejecutar fn sobre cada elemento con un máximo de llamadas en paralelo, conservando el orden
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Map: resumir cada fragmento por separado
+async function summarizeChunks(chunks, config, generate, context, templates) {
+  return mapWithConcurrency(chunks, SUMMARY_CONCURRENCY, async (chunk, index) => {
+    const prompt = templates.chunk({ index: index + 1, total: chunks.length, context, words: config.partialWords, text: chunk.text });
+    const partial = await generate(prompt, Math.ceil(config.partialWords * 2.5));
+    if (!partial) {
+      throw new Error(`No se pudo resumir el fragmento ${index + 1} de ${chunks.length}`);
+    }
+    return partial.trim();
+  });
+}
+
+// Resumir un texto con el nivel indicado
+// generate(prompt, maxTokens) devuelve el texto generado o null si no hay modelo disponible
+// language elige las plantillas del prompt; context describe el texto en ese idioma
+// Devuelve { summary, chunks } o null si el modelo no está disponible o alguna llamada falla
+async function summarizeText(text, { level = 'standard', generate, context, language } = {}) {
+  const config = SUMMARY_LEVELS[level];
+  const templates = getPromptTemplates(language).summary;
+  const summaryContext = context || templates.defaultContext;
+  const instructions = templates.levels[level];
+  let source = text;
+  let chunkCount = 1;
+
+  try {
+    // Reducir hasta que los resúmenes parciales quepan en una sola llamada
+    for (let depth = 0; source.length > SUMMARY_CHUNK_CHARS; depth++) {
+      if (depth >= MAX_REDUCE_DEPTH) {
+        throw new Error('El documento es demasiado largo para resumirlo');
+      }
+      const chunks = chunkText(source, { maxChars: SUMMARY_CHUNK_CHARS });
+      if (depth === 0) chunkCount = chunks.length;
+      console.log(`📚 Resumiendo ${chunks.length} fragmentos (nivel de reducción ${depth + 1})...`);
+      const partials = await summarizeChunks(chunks, config, generate, summaryContext, templates);
+      source = partials.map((partial, i) => `${templates.partialLabel(i + 1)}:\n${partial}`).join('\n\n');
+    }
+
+    const prompt = chunkCount > 1
+      ? templates.combine({ context: summaryContext, instructions, text: source })
+      : templates.single({ context: summaryContext, instructions, text: source });
+
+    const summary = await generate(prompt, config.maxTokens);
+    if (!summary) {
+      return null;
+    }
+    return { summary: summary.trim(), chunks: chunkCount };
+  } catch (error) {
+    console.error('Error al resumir con el modelo:', error.message);
+    return null;
+  }
+}
+
+// Resumen extractivo cuando no hay modelo disponible: oraciones repartidas a lo largo de
+// todo el texto (no solo del principio), hasta la longitud del nivel
+function extractiveSummary(text, level = 'standard') {
+  const { fallbackChars } = SUMMARY_LEVELS[level];
+  const sentences = String(text)
+    .replace(/\s+/g, ' ')
+    .split(/(?<=[.!?])\s+/)
+    .map(s => s.trim())
+    .filter(s => s.length > 40);
+
+  if (sentences.length === 0) {
+    return String(text).trim().substring(0, fallbackChars);
+  }
+
+  const averageLength = sentences.reduce((sum, s) => sum + s.length, 0) / sentences.length;
+  const wanted = Math.max(1, Math.min(sentences.length, Math.floor(fallbackChars / averageLength)));
+  const step = sentences.length / wanted;
+  const picked = [];
+  for (let i = 0; i < wanted; i++) {
+    picked.push(sentences[Math.floor(i * step)]);
+  }
+  return picked.join(' ');
+}
+
+module.exports = {
+  SUMMARY_LEVELS,
+  isValidSummaryLevel,
+  summarizeText,
+  extractiveSummary
+};
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const { getCollection } = require('./storage');
+
+// ✅ Medición de uso y costo de los modelos (colección 'usage')
+// Cada llamada al modelo de lenguaje o al TTS deja un registro con tokens de entrada y salida
+// (o caracteres sintetizados), modelo, endpoint, usuario y documento. Los registros se agrupan
+// en un documento por usuario y día (clave "<userId>:<YYYY-MM-DD>") para no crear un archivo por
+// llamada, y getUsageReport los agrega por día, usuario y funcionalidad.
+const usageStore = getCollection('usage');
+
+// Precios de referencia en USD por millón de tokens (input/output) o de caracteres (TTS).
+// USAGE_PRICES_PATH apunta a un JSON con la misma forma para reemplazarlos. Los modelos sin
+// precio (locales, simulados, gTTS) se registran con costo 0.
+// Gemini-TTS se cobra por tokens (texto de entrada y audio de salida) que la API de TTS no
+// informa, así que se estima por caracter: ~1,7 tokens de audio por caracter leído a 10 USD por
+// millón, más el texto de entrada. Es una aproximación; ajustarla con USAGE_PRICES_PATH.
+const DEFAULT_PRICES = {
+  'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+  'gemini-2.5-flash-lite': { input: 0.10, output: 0.40 },
+  'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+  'gemini-2.5-flash-tts': { characters: 17.00 },
+  'google-tts-standard': { characters: 4.00 }
+};
+
+const loadPrices = () => {
+  const configPath = process.env.USAGE_PRICES_PATH;
+  if (!configPath) {
+    return DEFAULT_PRICES;
+  }
+  try {
+    const prices = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    console.log(`✅ Precios de uso cargados desde ${configPath}`);
+    return prices;
+  } catch (error) {
+    console.error(`⚠️ No se pudo leer USAGE_PRICES_PATH (${configPath}), usando los precios por defecto:`, error.message);
+    return DEFAULT_PRICES;
+  }
+};
+const prices = loadPrices();
+
+const estimateCost = ({ model, promptTokens = 0, outputTokens = 0, characters = 0 }) => {
+  const price = prices[model] || {};
+  const cost = (promptTokens * (price.input || 0) + outputTokens * (price.output || 0) + characters * (price.characters || 0)) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+};
+
+const toDay = (date) => date.toISOString().slice(0, 10);
+
+// Registrar una llamada. type: 'llm' | 'tts'; feature: tarea del modelo ('summary', 'chat'...) o 'tts'
+// context: { userId, documentId, endpoint } de la petición que originó la llamada
+function recordUsage({ type, feature, provider, model, promptTokens = 0, outputTokens = 0, characters = 0 }, context = {}) {
+  try {
+    const now = new Date();
+    const userId = context.userId || 'system';
+    const day = toDay(now);
+    const key = `${userId}:${day}`;
+    const entry = usageStore.get(key) || { userId, day, records: [] };
+    entry.records.push({
+      type,
+      feature,
+      provider,
+      model,
+      endpoint: context.endpoint || null,
+      documentId: context.documentId || null,
+      promptTokens,
+      outputTokens,
+      characters,
+      costUsd: estimateCost({ model, promptTokens, outputTokens, characters }),
+      createdAt: now.toISOString()
+    });
+    usageStore.set(key, entry);
+  } catch (error) {
+    // Medir nunca debe romper la respuesta al usuario
+    console.error('⚠️ No se pudo registrar el uso:', error.message);
+  }
+}
+
+const emptyTotals = () => ({ calls: 0, promptTokens: 0, outputTokens: 0, ttsCharacters: 0, costUsd: 0 });
+
+const addToTotals = (totals, record) => {
+  totals.calls++;
+  totals.promptTokens += record.promptTokens;
+  totals.outputTokens += record.outputTokens;
+  totals.ttsCharacters += record.characters;
+  totals.costUsd = Math.round((totals.costUsd + record.costUsd) * 1e6) / 1e6;
+};
+
+// Agregar los registros entre from y to (YYYY-MM-DD, inclusive)
+// userId (opcional) limita el reporte a un usuario
+function getUsageReport({ from, to, userId }) {
+  const totals = emptyTotals();
+  const groups = { byDay: new Map(), byUser: new Map(), byFeature: new Map() };
+  const addToGroup = (group, keyName, key, record) => {
+    if (!group.has(key)) {
+      group.set(key, { [keyName]: key, ...emptyTotals() });
+    }
+    addToTotals(group.get(key), record);
+  };
+
+  for (const entry of usageStore.values()) {
+    if (entry.day < from || entry.day > to || (userId && entry.userId !== userId)) {
+      continue;
+    }
+    entry.records.forEach(record => {
+      addToTotals(totals, record);
+      addToGroup(groups.byDay, 'day', entry.day, record);
+      addToGroup(groups.byUser, 'userId', entry.userId, record);
+      addToGroup(groups.byFeature, 'feature', record.feature, record);
+    });
+  }
+
+  return {
+    from,
+    to,
+    totals,
+    byDay: Array.from(groups.byDay.values()).sort((a, b) => a.day.localeCompare(b.day)),
+    byUser: Array.from(groups.byUser.values()).sort((a, b) => b.costUsd - a.costUsd),
+    byFeature: Array.from(groups.byFeature.values()).sort((a, b) => b.costUsd - a.costUsd)
+  };
+}
+
+module.exports = {
+  recordUsage,
+  getUsageReport
+};
@@ -0,0 +1,108 @@
+const path = require('path');
+const fs = require('fs');
+const { DATA_DIR, getCollection } = require('./storage');
+
+// ✅ Almacén de usuarios persistente (colección 'users' de la capa de almacenamiento)
+const users = getCollection('users');
+
+// ✅ Migración del formato anterior (un único data/users.json con { users: [...] })
+// Las cuentas que aún no están en la colección se importan al iniciar y el archivo se renombra
+// a users.json.migrated para no volver a procesarlo (queda como respaldo).
+const LEGACY_USERS_FILE = path.join(DATA_DIR, 'users.json');
+
+function migrateLegacyUsersFile() {
+  if (!fs.existsSync(LEGACY_USERS_FILE)) {
+    return;
+  }
+  try {
+    const raw = JSON.parse(fs.readFileSync(LEGACY_USERS_FILE, 'utf8'));
+    let imported = 0;
+    (raw.users || []).forEach(user => {
+      if (user && user.id && !users.has(String(user.id))) {
+        users.set(String(user.id), user);
+        imported++;
+      }
+    });
+    fs.renameSync(LEGACY_USERS_FILE, `${LEGACY_USERS_FILE}.migrated`);
+    console.log(`✅ ${imported} usuario(s) migrados desde ${LEGACY_USERS_FILE}`);
+  } catch (error) {
+    // Si falla se deja el archivo en su lugar para reintentar en el próximo inicio
+    console.error(`⚠️ No se pudo migrar ${LEGACY_USERS_FILE}:`, error.message);
+  }
+}
+migrateLegacyUsersFile();
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+function findById(id) {
+  return users.get(String(id)) || null;
+}
+
+function findByEmail(email) {
+  const normalized = normalizeEmail(email);
+  for (const user of users.values()) {
+    if (user.email === normalized) {
+      return user;
+    }
+  }
+  return null;
+}
+
+function findByResetTokenHash(tokenHash) {
+  for (const user of users.values()) {
+    if (user.resetToken && user.resetToken.hash === tokenHash) {
+      return user;
+    }
+  }
+  return null;
+}
+
+function create({ email, name, passwordHash }) {
+  const now = new Date().toISOString();
+  const user = {
+    id: `user-${Date.now()}-${Math.round(Math.random() * 1E9)}`,
+    email: normalizeEmail(email),
+    name: name,
+    passwordHash: passwordHash,
+    // Plan de uso ('free' | 'premium'), define los límites de los endpoints de IA y TTS
+    plan: 'free',
+    // Se incrementa al cambiar la contraseña para invalidar los JWT emitidos antes
+    tokenVersion: 0,
+    resetToken: null,
+    createdAt: now,
+    updatedAt: now
+  };
+  users.set(user.id, user);
+  return user;
+}
+
+function update(id, changes) {
+  const user = findById(id);
+  if (!user) {
+    return null;
+  }
+  Object.assign(user, changes, { updatedAt: new Date().toISOString() });
+  users.set(user.id, user);
+  return user;
+}
+
+// Datos públicos del usuario (nunca exponer hash ni tokens de reseteo)
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    plan: user.plan || 'free',
+    createdAt: user.createdAt
+  };
+}
+
+module.exports = {
+  normalizeEmail,
+  findById,
+  findByEmail,
+  findByResetTokenHash,
+  create,
+  update,
+  toPublicUser
+};